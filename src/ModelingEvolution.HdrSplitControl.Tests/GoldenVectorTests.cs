@@ -0,0 +1,64 @@
+using System.Text.Json;
+using ModelingEvolution.HdrSplitControl;
+using Xunit;
+
+namespace ModelingEvolution.HdrSplitControl.Tests;
+
+/// <summary>
+/// Checks HdrCurveState against golden/curve-weights.json, the reference weights the JavaScript
+/// tests (js/) check hdr-curve-model.js and the editors against as well
+/// </summary>
+public class GoldenVectorTests
+{
+    private static readonly string GoldenPath = Path.Combine(AppContext.BaseDirectory, "golden", "curve-weights.json");
+
+    private static JsonElement LoadGolden() =>
+        JsonDocument.Parse(File.ReadAllText(GoldenPath)).RootElement;
+
+    public static IEnumerable<object[]> CaseNames() =>
+        LoadGolden().GetProperty("cases").EnumerateArray()
+            .Select(c => new object[] { c.GetProperty("name").GetString()! });
+
+    [Theory]
+    [MemberData(nameof(CaseNames))]
+    public void Weights_MatchGoldenVectors(string name)
+    {
+        // Arrange
+        var golden = LoadGolden();
+        var tolerance = golden.GetProperty("tolerance").GetSingle();
+        var curve = golden.GetProperty("cases").EnumerateArray()
+            .First(c => c.GetProperty("name").GetString() == name);
+
+        var state = new HdrCurveState();
+        state.Clear();
+        state.Interpolation = CurveInterpolationExtensions.FromJsName(curve.GetProperty("interpolation").GetString());
+
+        // Handles are absolute in the golden file and relative to their point in HdrCurveState
+        var id = 1;
+        foreach (var point in curve.GetProperty("points").EnumerateArray())
+        {
+            var x = point.GetProperty("x").GetSingle();
+            var y = point.GetProperty("y").GetSingle();
+            state.AddPoint(id, x, y);
+
+            if (point.GetProperty("c1") is { ValueKind: JsonValueKind.Object } c1)
+                state.MoveControlVector1(id, c1.GetProperty("x").GetSingle() - x, c1.GetProperty("y").GetSingle() - y);
+            if (point.GetProperty("c2") is { ValueKind: JsonValueKind.Object } c2)
+                state.MoveControlVector2(id, c2.GetProperty("x").GetSingle() - x, c2.GetProperty("y").GetSingle() - y);
+
+            id++;
+        }
+
+        // Act
+        var weights = state.Weights;
+
+        // Assert
+        foreach (var sample in curve.GetProperty("samples").EnumerateArray())
+        {
+            var level = sample[0].GetInt32();
+            var expected = sample[1].GetSingle();
+            Assert.True(Math.Abs(weights[level] - expected) <= tolerance,
+                $"{name} at {level}: expected {expected}, got {weights[level]}");
+        }
+    }
+}
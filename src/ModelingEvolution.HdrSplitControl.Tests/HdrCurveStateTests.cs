@@ -314,4 +314,93 @@ public class HdrCurveStateTests
             Assert.True(weight <= 1.0f, $"Weight {weight} is above 1 after negative extreme");
         }
     }
-}
\ No newline at end of file
+
+    [Fact]
+    public void Interpolation_Linear_InterpolatesStraightLines()
+    {
+        // Arrange
+        var state = new HdrCurveState { Interpolation = CurveInterpolation.Linear };
+        state.MovePoint(1, 0, 0f);
+        state.MovePoint(2, 255, 1f);
+        state.AddPoint(3, 51, 0.6f);
+
+        // Act & Assert
+        Assert.Equal(0.0f, state.Weights[0], 0.001f);
+        Assert.Equal(0.3f, state.Weights[25], 0.01f);
+        Assert.Equal(0.6f, state.Weights[51], 0.001f);
+        Assert.Equal(0.8f, state.Weights[153], 0.001f);
+        Assert.Equal(1.0f, state.Weights[255], 0.001f);
+    }
+
+    [Fact]
+    public void Interpolation_Step_HoldsLeftPointValue()
+    {
+        // Arrange
+        var state = new HdrCurveState { Interpolation = CurveInterpolation.Step };
+        state.MovePoint(1, 0, 0.2f);
+        state.AddPoint(3, 100, 0.9f);
+
+        // Act & Assert
+        Assert.Equal(0.2f, state.Weights[99], 0.001f);
+        Assert.Equal(0.9f, state.Weights[100], 0.001f);
+        Assert.Equal(0.9f, state.Weights[254], 0.001f);
+    }
+
+    [Fact]
+    public void Interpolation_MonotoneCubic_DoesNotOvershoot()
+    {
+        // Arrange - control vectors that would overshoot as Bezier are ignored
+        var state = new HdrCurveState { Interpolation = CurveInterpolation.MonotoneCubic };
+        state.MovePoint(1, 0, 0f);
+        state.MovePoint(2, 255, 1f);
+        state.AddPoint(3, 64, 0.1f);
+        state.AddPoint(4, 128, 0.9f);
+        state.MoveControlVector2(1, 50, 10f);
+
+        // Act & Assert
+        for (int i = 1; i < 256; i++)
+        {
+            Assert.True(state.Weights[i] >= state.Weights[i - 1] - 1e-6f,
+                $"Weight decreases at {i}: {state.Weights[i - 1]} -> {state.Weights[i]}");
+        }
+    }
+
+    [Fact]
+    public void Interpolation_Change_RecalculatesWeights()
+    {
+        // Arrange
+        var state = new HdrCurveState();
+        state.AddPoint(3, 128, 1f);
+        var bezierWeight = state.Weights[100];
+
+        // Act
+        state.Interpolation = CurveInterpolation.Linear;
+
+        // Assert
+        Assert.NotEqual(bezierWeight, state.Weights[100], 3);
+        Assert.Equal(0.5f + 0.5f * 100f / 128f, state.Weights[100], 0.001f);
+    }
+
+    [Fact]
+    public void LoadSnapshot_ReplacesPointsKeepingIdsAndHandles()
+    {
+        // Arrange
+        var state = new HdrCurveState();
+        state.AddPoint(3, 128, 1f);
+
+        // Act
+        state.LoadSnapshot(new[]
+        {
+            new CurveSnapshotPoint(8, 0, 0f, null, new ControlOffset(20, 0.1f)),
+            new CurveSnapshotPoint(5, 255, 1f, new ControlOffset(-20, -0.1f), null)
+        });
+
+        // Assert
+        Assert.Equal(new[] { 5, 8 }, state.Points.Keys.Order());
+        Assert.Null(state.Points[8].ControlVector1);
+        Assert.Equal(20f, state.Points[8].ControlVector2!.Value.X);
+        Assert.Equal(-0.1f, state.Points[5].ControlVector1!.Value.Y);
+        Assert.Equal(0f, state.Weights[0], 0.001f);
+        Assert.Equal(1f, state.Weights[255], 0.001f);
+    }
+}
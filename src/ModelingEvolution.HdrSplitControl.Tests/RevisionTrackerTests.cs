@@ -0,0 +1,122 @@
+using ModelingEvolution.HdrSplitControl;
+using Xunit;
+
+namespace ModelingEvolution.HdrSplitControl.Tests;
+
+public class RevisionTrackerTests
+{
+    [Fact]
+    public void Accept_NextRevision_Applies()
+    {
+        // Arrange
+        var tracker = new RevisionTracker();
+
+        // Act & Assert
+        Assert.Equal(RevisionCheck.Apply, tracker.Accept(1));
+        Assert.Equal(RevisionCheck.Apply, tracker.Accept(2));
+        Assert.Equal(2, tracker.Revision);
+    }
+
+    [Fact]
+    public void Accept_StaleRevision_IsIgnored()
+    {
+        // Arrange
+        var tracker = new RevisionTracker();
+        tracker.Accept(1);
+        tracker.Accept(2);
+
+        // Act
+        var check = tracker.Accept(2);
+
+        // Assert
+        Assert.Equal(RevisionCheck.Ignore, check);
+        Assert.Equal(2, tracker.Revision);
+    }
+
+    [Fact]
+    public void Accept_SkippedRevision_ReportsGapUntilSnapshot()
+    {
+        // Arrange
+        var tracker = new RevisionTracker();
+        tracker.Accept(1);
+
+        // Act
+        var gap = tracker.Accept(3);
+        var afterGap = tracker.Accept(4);
+
+        // Assert
+        Assert.Equal(RevisionCheck.Gap, gap);
+        Assert.Equal(RevisionCheck.Ignore, afterGap);
+        Assert.True(tracker.AwaitingSnapshot);
+        Assert.Equal(1, tracker.Revision);
+    }
+
+    [Fact]
+    public void AcceptSnapshot_NewerRevision_ResumesFromIt()
+    {
+        // Arrange
+        var tracker = new RevisionTracker();
+        tracker.Accept(1);
+        tracker.Accept(3);
+
+        // Act
+        var applied = tracker.AcceptSnapshot(5);
+
+        // Assert
+        Assert.True(applied);
+        Assert.False(tracker.AwaitingSnapshot);
+        Assert.Equal(RevisionCheck.Ignore, tracker.Accept(5));
+        Assert.Equal(RevisionCheck.Apply, tracker.Accept(6));
+    }
+
+    [Fact]
+    public void AcceptSnapshot_StaleRevision_IsIgnored()
+    {
+        // Arrange
+        var tracker = new RevisionTracker();
+        tracker.Accept(1);
+        tracker.Accept(2);
+
+        // Act
+        var applied = tracker.AcceptSnapshot(2);
+
+        // Assert
+        Assert.False(applied);
+        Assert.Equal(2, tracker.Revision);
+    }
+
+    [Fact]
+    public void Reset_NewEditor_AppliesItsFirstRevision()
+    {
+        // Arrange
+        var tracker = new RevisionTracker();
+        tracker.Accept(1);
+        tracker.Accept(2);
+        tracker.Accept(5);
+
+        // Act
+        tracker.Reset();
+
+        // Assert
+        Assert.False(tracker.AwaitingSnapshot);
+        Assert.Equal(RevisionCheck.Apply, tracker.Accept(1));
+        Assert.Equal(1, tracker.Revision);
+    }
+
+    [Fact]
+    public void SnapshotFailed_NextMessage_ReportsGapAgain()
+    {
+        // Arrange
+        var tracker = new RevisionTracker();
+        tracker.Accept(1);
+        tracker.Accept(3);
+
+        // Act
+        tracker.SnapshotFailed();
+
+        // Assert
+        Assert.False(tracker.AwaitingSnapshot);
+        Assert.Equal(RevisionCheck.Gap, tracker.Accept(4));
+        Assert.True(tracker.AwaitingSnapshot);
+    }
+}
@@ -0,0 +1,382 @@
+// Just enough of a browser to run the editor scripts under node:test. The scripts are evaluated in a
+// vm context whose global object doubles as window; canvases get a 2D context that ignores drawing.
+//
+//   node --test src/ModelingEvolution.HdrSplitControl.Tests/js/
+//
+// Every run builds a fresh context, so tests never share editors or window.hdrEditors.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const WWWROOT = path.join(__dirname, '..', '..', 'ModelingEvolution.HdrSplitControl', 'wwwroot');
+const GOLDEN = path.join(__dirname, '..', 'golden');
+
+const CONTAINER_WIDTH = 600;
+
+// Accepts every drawing call and property; getImageData and measureText return usable shapes
+function createContext2d() {
+    const state = {
+        getImageData: (x, y, width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+        measureText: text => ({ width: String(text).length * 6 })
+    };
+    return new Proxy(state, {
+        get: (target, key) => (key in target ? target[key] : () => {}),
+        set: (target, key, value) => {
+            target[key] = value;
+            return true;
+        }
+    });
+}
+
+class StubElement {
+    constructor(document, tagName, id = '') {
+        this.ownerDocument = document;
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.style = {};
+        this.dataset = {};
+        this.textContent = '';
+        this.value = '';
+        this.width = 0;
+        this.height = 0;
+        this.clientWidth = CONTAINER_WIDTH;
+        this.parentElement = null;
+        this.children = [];
+        this.listeners = {};
+        this.dispatched = []; // Every event passed to dispatchEvent, e.g. the editors' hdr-* events
+        this.capturedPointer = null;
+        this.context = null;
+        this.attributes = new Map();
+        this.shadowRoot = null;
+
+        const classes = new Set();
+        this.classList = {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            toggle: (name, force) => {
+                const on = force === undefined ? !classes.has(name) : !!force;
+                if (on) classes.add(name); else classes.delete(name);
+                return on;
+            },
+            contains: name => classes.has(name)
+        };
+    }
+
+    // Custom elements get their connectedCallback / disconnectedCallback when they enter or leave the page
+    get isConnected() {
+        const root = this.ownerDocument.body;
+        for (let element = this; element; element = element.parentElement) {
+            if (element === root) return true;
+        }
+        return false;
+    }
+
+    appendChild(child) {
+        child.parentElement = this;
+        this.children.push(child);
+        if (child.connectedCallback && child.isConnected) child.connectedCallback();
+        return child;
+    }
+
+    removeChild(child) {
+        const wasConnected = child.isConnected;
+        this.children = this.children.filter(c => c !== child);
+        child.parentElement = null;
+        if (child.disconnectedCallback && wasConnected) child.disconnectedCallback();
+        return child;
+    }
+
+    replaceWith(other) {
+        if (!this.parentElement) return;
+        const parent = this.parentElement;
+        parent.children = parent.children.map(c => (c === this ? other : c));
+        other.parentElement = parent;
+        this.parentElement = null;
+    }
+
+    querySelector(selector) {
+        const match = /^\[id="(.+)"\]$/.exec(selector);
+        if (!match) return null;
+        const search = element => {
+            for (const child of element.children) {
+                if (child.id === match[1]) return child;
+                const found = search(child);
+                if (found) return found;
+            }
+            return null;
+        };
+        return search(this);
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    setAttribute(name, value) {
+        const oldValue = this.getAttribute(name);
+        this.attributes.set(name, String(value));
+        this.attributeChanged(name, oldValue);
+    }
+
+    removeAttribute(name) {
+        const oldValue = this.getAttribute(name);
+        this.attributes.delete(name);
+        this.attributeChanged(name, oldValue);
+    }
+
+    toggleAttribute(name, force) {
+        const on = force === undefined ? !this.hasAttribute(name) : !!force;
+        if (on && !this.hasAttribute(name)) this.setAttribute(name, '');
+        if (!on && this.hasAttribute(name)) this.removeAttribute(name);
+        return on;
+    }
+
+    attributeChanged(name, oldValue) {
+        const observed = this.constructor.observedAttributes || [];
+        if (this.attributeChangedCallback && observed.includes(name)) {
+            this.attributeChangedCallback(name, oldValue, this.getAttribute(name));
+        }
+    }
+
+    attachShadow() {
+        this.shadowRoot = new StubShadowRoot(this.ownerDocument);
+        return this.shadowRoot;
+    }
+
+    getContext(type) {
+        if (type !== '2d') return null;
+        if (!this.context) this.context = createContext2d();
+        return this.context;
+    }
+
+    getBoundingClientRect() {
+        const width = parseFloat(this.style.width) || this.clientWidth;
+        const height = parseFloat(this.style.height) || this.height;
+        return { left: 0, top: 0, right: width, bottom: height, width, height };
+    }
+
+    addEventListener(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+    }
+
+    removeEventListener(type, handler) {
+        if (this.listeners[type]) this.listeners[type] = this.listeners[type].filter(h => h !== handler);
+    }
+
+    dispatchEvent(event) {
+        this.dispatched.push(event);
+        (this.listeners[event.type] || []).slice().forEach(handler => handler(event));
+        return true;
+    }
+
+    setPointerCapture(pointerId) {
+        this.capturedPointer = pointerId;
+    }
+
+    hasPointerCapture(pointerId) {
+        return this.capturedPointer === pointerId;
+    }
+
+    releasePointerCapture() {
+        this.capturedPointer = null;
+    }
+
+    focus() {}
+    blur() {}
+    select() {}
+    click() {}
+}
+
+// Elements without a closing tag in the markup the custom element renders
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'link', 'meta']);
+
+// Setting innerHTML builds the element tree with ids and classes; text, styles and other attributes are dropped
+class StubShadowRoot extends StubElement {
+    constructor(document) {
+        super(document, '#shadow-root');
+        this.markup = '';
+    }
+
+    get innerHTML() {
+        return this.markup;
+    }
+
+    set innerHTML(markup) {
+        this.markup = markup;
+        this.children = [];
+
+        const open = [this];
+        const tag = /<(\/?)([a-zA-Z][\w-]*)([^>]*)>/g;
+        for (let match; (match = tag.exec(markup));) {
+            const [, closing, tagName, attributes] = match;
+            if (closing) {
+                if (open.length > 1) open.pop();
+                continue;
+            }
+
+            const id = /\sid="([^"]*)"/.exec(attributes);
+            const element = new StubElement(this.ownerDocument, tagName, id ? id[1] : '');
+            const classes = /\sclass="([^"]*)"/.exec(attributes);
+            if (classes) element.classList.add(...classes[1].split(/\s+/).filter(Boolean));
+
+            open[open.length - 1].appendChild(element);
+            if (!VOID_TAGS.has(tagName.toLowerCase()) && !attributes.trim().endsWith('/')) open.push(element);
+        }
+    }
+
+    getElementById(id) {
+        return this.querySelector(`[id="${id}"]`);
+    }
+}
+
+class StubCustomEvent {
+    constructor(type, init = {}) {
+        this.type = type;
+        this.detail = init.detail === undefined ? null : init.detail;
+        this.bubbles = !!init.bubbles;
+        this.composed = !!init.composed;
+    }
+}
+
+// Loads wwwroot scripts (hdr-curve-model.js and hdr-split.js by default) into a fresh context.
+// Returns { window, document, run } where run evaluates an expression in the context, for class
+// declarations that are not properties of window.
+function loadScripts(files = ['hdr-curve-model.js', 'hdr-split.js'], options = {}) {
+    const elements = new Map();
+    const definitions = new Map();
+    const document = {
+        getElementById: id => elements.get(id) || null,
+        createElement: tagName => {
+            const Definition = definitions.get(tagName);
+            if (!Definition) return new StubElement(document, tagName);
+
+            const element = new Definition();
+            element.tagName = tagName.toUpperCase();
+            return element;
+        },
+        addEventListener() {},
+        removeEventListener() {},
+        register: element => elements.set(element.id, element)
+    };
+    document.body = new StubElement(document, 'body');
+    document.documentElement = new StubElement(document, 'html');
+
+    // The editors log their usage and every weights update; tests only care about errors
+    const quiet = { log() {}, info() {}, warn() {}, error: options.onError || (() => {}) };
+
+    const window = {
+        document,
+        console: options.console || quiet,
+        devicePixelRatio: 1,
+        addEventListener() {},
+        removeEventListener() {},
+        setTimeout: (handler, ms) => setTimeout(handler, ms),
+        clearTimeout: timer => clearTimeout(timer),
+        requestAnimationFrame: handler => setTimeout(() => handler(Date.now()), 0),
+        cancelAnimationFrame: timer => clearTimeout(timer),
+        CustomEvent: StubCustomEvent,
+        // Base class and registry for <hdr-split-canvas>; create one with document.createElement
+        HTMLElement: class extends StubElement {
+            constructor() {
+                super(document, 'div');
+            }
+        },
+        customElements: {
+            define: (name, definition) => definitions.set(name, definition),
+            get: name => definitions.get(name)
+        },
+        MutationObserver: class {
+            observe() {}
+            disconnect() {}
+        }
+    };
+    window.window = window;
+    window.globalThis = window;
+
+    const context = vm.createContext(window);
+    for (const file of files) {
+        const filename = path.join(WWWROOT, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+
+    return {
+        window,
+        document,
+        run: code => vm.runInContext(code, context)
+    };
+}
+
+// Registers the markup hdrGrayCanvasInit / hdrRgbCanvasInit look up for instance id
+function renderMarkup(document, id, kind = 'gray') {
+    const container = new StubElement(document, 'div', kind === 'rgb' ? `hdr-container-rgb-${id}` : `hdr-container-${id}`);
+    document.register(container);
+
+    const children = [
+        ['canvas', `canvas-${id}`],
+        ['canvas', `grayscaleBar-${id}`],
+        ['canvas', `outputBar-${id}`],
+        ['div', `infoBox-${id}`],
+        ['strong', `valueDisplay-${id}`],
+        ['strong', `hexDisplay-${id}`],
+        ['span', `colorBox-${id}`],
+        ['span', `outputColorBox-${id}`]
+    ].concat(kind === 'rgb'
+        ? [['strong', `rWeight-${id}`], ['strong', `gWeight-${id}`], ['strong', `bWeight-${id}`]]
+        : [['strong', `weightDisplay-${id}`]]);
+
+    for (const [tagName, elementId] of children) {
+        document.register(container.appendChild(new StubElement(document, tagName, elementId)));
+    }
+    return container;
+}
+
+// A DotNetObjectReference stand-in that records every invokeMethodAsync call as [method, ...args]
+function createDotNetRef() {
+    const calls = [];
+    return {
+        calls,
+        invokeMethodAsync: (method, ...args) => {
+            calls.push([method, ...args]);
+            return Promise.resolve();
+        }
+    };
+}
+
+// Pointer event at graph coordinates of the editor (x in input levels, y in 0..1)
+function pointerAt(editor, x, y, extra = {}) {
+    const screen = editor.graphToScreen(x, y);
+    return {
+        clientX: screen.x,
+        clientY: screen.y,
+        pointerId: 1,
+        pointerType: 'mouse',
+        isPrimary: true,
+        button: 0,
+        preventDefault() {},
+        stopPropagation() {},
+        ...extra
+    };
+}
+
+// Objects made inside the context have its own prototypes; strict deepEqual needs them as plain data
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function readGolden(name) {
+    return JSON.parse(fs.readFileSync(path.join(GOLDEN, name), 'utf8'));
+}
+
+module.exports = {
+    WWWROOT,
+    loadScripts,
+    renderMarkup,
+    createDotNetRef,
+    pointerAt,
+    plain,
+    readGolden
+};
@@ -0,0 +1,413 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { WWWROOT, readGolden } = require('./browser-stub.js');
+
+const CurveModel = require(path.join(WWWROOT, 'hdr-curve-model.js'));
+
+const point = (x, y, c1 = null, c2 = null) => ({ x, y, c1, c2 });
+
+test('golden vectors match within tolerance', () => {
+    const golden = readGolden('curve-weights.json');
+
+    for (const curve of golden.cases) {
+        const weights = new CurveModel({ points: curve.points, interpolation: curve.interpolation }).calculateWeights();
+        for (const [x, expected] of curve.samples) {
+            assert.ok(Math.abs(weights[x] - expected) <= golden.tolerance,
+                `${curve.name} at ${x}: expected ${expected}, got ${weights[x]}`);
+        }
+    }
+});
+
+test('calculateWeights gives the same values as getValueAtX', () => {
+    const points = [point(0, 0.1), point(70, 0.9), point(180, 0.2), point(255, 0.7)];
+
+    for (const interpolation of CurveModel.INTERPOLATIONS) {
+        const model = new CurveModel({ points, interpolation });
+        const weights = model.calculateWeights();
+        for (let x = 0; x < 256; x++) {
+            assert.equal(weights[x], Math.fround(model.getValueAtX(x)), `${interpolation} at ${x}`);
+        }
+    }
+});
+
+test('weights fill the LUT size and can be written into an existing array', () => {
+    const model = new CurveModel({ lutSize: 1024, points: [point(0, 0), point(1023, 1)], interpolation: 'linear' });
+    assert.equal(model.maxX, 1023);
+
+    const weights = model.calculateWeights();
+    assert.equal(weights.length, 1024);
+    assert.equal(weights[0], 0);
+    assert.equal(weights[1023], 1);
+
+    const target = new Float32Array(1024);
+    assert.equal(model.calculateWeights(target), target);
+    assert.deepEqual(target, weights);
+});
+
+test('boundary points 0 and 255 hold their values exactly', () => {
+    const points = [
+        point(0, 0.2, null, { x: 40, y: 0.9 }),
+        point(255, 0.8, { x: 215, y: 0.1 }, null)
+    ];
+
+    for (const interpolation of CurveModel.INTERPOLATIONS) {
+        const model = new CurveModel({ points, interpolation });
+        assert.ok(Math.abs(model.getValueAtX(0) - 0.2) < 1e-9, `${interpolation} at 0`);
+        assert.ok(Math.abs(model.getValueAtX(255) - 0.8) < 1e-9, `${interpolation} at 255`);
+    }
+});
+
+test('levels outside the first and last point continue their values', () => {
+    const model = new CurveModel({ points: [point(40, 0.3), point(200, 0.6)], interpolation: 'linear' });
+    const weights = model.calculateWeights();
+
+    assert.equal(weights[0], Math.fround(0.3));
+    assert.equal(weights[39], Math.fround(0.3));
+    assert.equal(weights[201], Math.fround(0.6));
+    assert.equal(weights[255], Math.fround(0.6));
+});
+
+test('an empty curve is flat at 0.5', () => {
+    const weights = new CurveModel().calculateWeights();
+    assert.ok(weights.every(w => w === 0.5));
+});
+
+test('a single point gives a flat curve at its value', () => {
+    const weights = new CurveModel({ points: [point(128, 0.75)] }).calculateWeights();
+    assert.ok(weights.every(w => w === 0.75));
+});
+
+test('linear interpolates straight between points', () => {
+    const model = new CurveModel({ points: [point(0, 0), point(100, 1), point(200, 0)], interpolation: 'linear' });
+
+    assert.equal(model.getValueAtX(50), 0.5);
+    assert.equal(model.getValueAtX(100), 1);
+    assert.equal(model.getValueAtX(150), 0.5);
+});
+
+test('step holds the left value until the next point', () => {
+    const model = new CurveModel({ points: [point(0, 0.2), point(100, 0.6), point(255, 1)], interpolation: 'step' });
+
+    assert.equal(model.getValueAtX(99), 0.2);
+    assert.equal(model.getValueAtX(100), 0.6);
+    assert.equal(model.getValueAtX(254), 0.6);
+    assert.equal(model.getValueAtX(255), 1);
+});
+
+test('monotone cubic never overshoots monotonic data', () => {
+    const points = [point(0, 0), point(30, 0.9), point(60, 0.92), point(255, 1)];
+    const weights = new CurveModel({ points, interpolation: 'monotone-cubic' }).calculateWeights();
+
+    for (let x = 1; x < 256; x++) {
+        assert.ok(weights[x] >= weights[x - 1], `decreases at ${x}`);
+    }
+});
+
+test('catmull-rom passes through every point and is clamped to 0..1', () => {
+    const points = [point(0, 0), point(100, 0.95), point(140, 1), point(255, 0)];
+    const model = new CurveModel({ points, interpolation: 'catmull-rom' });
+    const weights = model.calculateWeights();
+
+    for (const p of points) {
+        assert.ok(Math.abs(weights[p.x] - p.y) < 1e-6, `misses point at ${p.x}`);
+    }
+    assert.ok(weights.every(w => w >= 0 && w <= 1));
+});
+
+test('bezier without handles is a straight line', () => {
+    const model = new CurveModel({ points: [point(0, 0), point(255, 1)] });
+
+    for (const x of [1, 64, 128, 200, 254]) {
+        assert.ok(Math.abs(model.getValueAtX(x) - x / 255) < 0.001, `at ${x}`);
+    }
+});
+
+test('bezier follows its handles', () => {
+    // Both handles pulled up: the middle of the segment lies above the straight line
+    const model = new CurveModel({
+        points: [point(0, 0, null, { x: 85, y: 1 }), point(255, 0, { x: 170, y: 1 }, null)]
+    });
+
+    assert.ok(Math.abs(model.getValueAtX(127.5) - 0.75) < 0.001);
+});
+
+test('findTForX inverts bezierX', () => {
+    const p1 = point(0, 0, null, { x: 10, y: 0.5 });
+    const p2 = point(255, 1, { x: 120, y: 1 }, null);
+
+    for (const x of [5, 50, 128, 240]) {
+        const t = CurveModel.findTForX(p1, p2, x);
+        assert.ok(Math.abs(CurveModel.bezierX(p1, p2, t) - x) < 0.01, `at ${x}`);
+    }
+});
+
+test('unknown interpolation modes fall back to bezier', () => {
+    assert.equal(new CurveModel({ interpolation: 'cubic' }).interpolation, 'bezier');
+    assert.equal(new CurveModel({ interpolation: 'step' }).interpolation, 'step');
+});
+
+test('validPoints accepts the 0..maxX by 0..1 domain', () => {
+    assert.ok(CurveModel.validPoints([point(0, 0), point(255, 1)]));
+    assert.ok(CurveModel.validPoints([point(1023, 0.5)], 1023));
+    assert.ok(CurveModel.validPoints([]));
+
+    assert.ok(!CurveModel.validPoints([point(256, 0.5)]));
+    assert.ok(!CurveModel.validPoints([point(-1, 0.5)]));
+    assert.ok(!CurveModel.validPoints([point(10, 1.01)]));
+    assert.ok(!CurveModel.validPoints([point('10', 0.5)]));
+    assert.ok(!CurveModel.validPoints([null]));
+    assert.ok(!CurveModel.validPoints('points'));
+});
+
+test('validateState accepts gray and RGB states', () => {
+    const points = [point(0, 0), point(255, 1)];
+
+    assert.deepEqual(CurveModel.validateState({ version: '1.0', interpolation: 'linear', points }), []);
+    assert.deepEqual(CurveModel.validateState({ points }), []);
+    assert.deepEqual(CurveModel.validateState({ bitDepth: 10, points: [point(0, 0), point(1023, 1)] }), []);
+    assert.deepEqual(CurveModel.validateState({ version: '2.0', type: 'rgb', channels: { g: { points } } }), []);
+});
+
+test('validateState lists every problem with its path', () => {
+    assert.deepEqual(CurveModel.validateState({
+        version: '3.0',
+        interpolation: 'spline',
+        points: [point(0, 0, { x: 'a', y: 0 }), point(256, 1.5), null]
+    }), [
+        { path: 'version', message: "Unsupported gray state version \"3.0\", expected '1.0'" },
+        { path: 'interpolation', message: 'Unknown interpolation "spline"' },
+        { path: 'points[0].c1', message: 'c1 must be null or { x, y }' },
+        { path: 'points[1].x', message: 'x must be a number from 0 to 255' },
+        { path: 'points[1].y', message: 'y must be a number from 0 to 1' },
+        { path: 'points[2]', message: 'Point must be an object with x and y' }
+    ]);
+
+    assert.deepEqual(CurveModel.validateState({ channels: { r: { points: [point(0, 0)] }, a: {} } }).map(e => e.path),
+        ['channels.r.points', 'channels.a']);
+    assert.deepEqual(CurveModel.validateState({ type: 'rgb', channels: {} }).map(e => e.path), ['channels']);
+    assert.deepEqual(CurveModel.validateState({ points: 'M0,0 L255,1' }).map(e => e.path), ['points']);
+    for (const state of [null, {}, 'state', [point(0, 0)]]) {
+        assert.deepEqual(CurveModel.validateState(state).map(e => e.path), [''], JSON.stringify(state));
+    }
+});
+
+test('migrateState copies a gray curve into every RGB channel in 8-bit levels', () => {
+    const gray = { version: '1.0', lutSize: 1024, points: [point(0, 0, null, { x: 102.3, y: 0 }), point(1023, 1)] };
+    const rgb = CurveModel.migrateState(gray, 'rgb');
+
+    assert.deepEqual(CurveModel.validateState(rgb), []);
+    assert.equal(rgb.type, 'rgb');
+    for (const channel of ['r', 'g', 'b']) {
+        assert.deepEqual(rgb.channels[channel].points.map(p => [p.x, p.y]), [[0, 0], [255, 1]]);
+        assert.ok(Math.abs(rgb.channels[channel].points[0].c2.x - 25.5) < 1e-9);
+    }
+    assert.equal(CurveModel.migrateState(rgb, 'rgb'), rgb);
+});
+
+test('migrateState takes one channel or the luminance of an RGB curve', () => {
+    const rgb = { version: '2.0', type: 'rgb', channels: {
+        r: { points: [point(0, 1, null, { x: 10, y: 1 }), point(255, 0, { x: 245, y: 0 }, null)] },
+        g: { points: [point(0, 0, null, { x: 10, y: 0 }), point(255, 1, { x: 245, y: 1 }, null)] }
+    } };
+
+    const green = CurveModel.migrateState(rgb, 'gray', { channel: 'g' });
+    assert.deepEqual(CurveModel.validateState(green), []);
+    assert.deepEqual(green.points, rgb.channels.g.points);
+
+    // The missing blue channel is the flat default; all three share their x, so they mix point by point
+    const luminance = CurveModel.migrateState(rgb, 'gray');
+    const { r, g, b } = CurveModel.LUMINANCE;
+    assert.equal(luminance.interpolation, 'bezier');
+    assert.deepEqual(luminance.points.map(p => p.x), [0, 255]);
+    assert.ok(Math.abs(luminance.points[0].y - (r + b * 0.5)) < 1e-12);
+    assert.ok(Math.abs(luminance.points[1].c1.y - (g + b * 0.5)) < 1e-12);
+
+    assert.throws(() => CurveModel.migrateState(rgb, 'gray', { channel: 'R' }), RangeError);
+});
+
+test('migrateState samples the luminance of channels with different points', () => {
+    const channels = {
+        r: { points: [point(0, 0), point(100, 0.8), point(255, 1)] },
+        g: { points: [point(0, 0.2), point(255, 0.6)] },
+        b: { points: [point(0, 1), point(40, 0.1), point(255, 0)] }
+    };
+    const gray = CurveModel.migrateState({ channels }, 'gray');
+    const models = ['r', 'g', 'b'].map(key => new CurveModel({ points: channels[key].points }));
+    const luminance = x => CurveModel.LUMINANCE.r * models[0].getValueAtX(x) +
+        CurveModel.LUMINANCE.g * models[1].getValueAtX(x) + CurveModel.LUMINANCE.b * models[2].getValueAtX(x);
+
+    assert.deepEqual(CurveModel.validateState(gray), []);
+    assert.equal(gray.interpolation, 'monotone-cubic');
+    assert.ok(gray.points.some(p => p.x === 40) && gray.points.some(p => p.x === 100));
+    for (const p of gray.points) {
+        assert.ok(Math.abs(p.y - luminance(p.x)) < 1e-12, `at ${p.x}`);
+    }
+});
+
+test('toSVGPath writes one cubic segment per pair of points', () => {
+    const points = [
+        { x: 0, y: 0.5, c1: null, c2: { x: 10, y: 0.5 } },
+        { x: 100.25, y: 1 / 3, c1: null, c2: { x: 110.5, y: 0.4 } },
+        { x: 255, y: 0.5, c1: { x: 245, y: 0.5 }, c2: null }
+    ];
+
+    // A missing handle is written as its point
+    assert.equal(CurveModel.toSVGPath(points),
+        'M0,0.5 C10,0.5 100.25,0.3333333333333333 100.25,0.3333333333333333 C110.5,0.4 245,0.5 255,0.5');
+    assert.equal(CurveModel.toSVGPath([]), '');
+
+    const segments = CurveModel.parseSVGPath(CurveModel.toSVGPath(points));
+    assert.deepEqual(segments.map(s => s.p3), [{ x: 100.25, y: 1 / 3 }, { x: 255, y: 0.5 }]);
+    assert.deepEqual(segments[1].p1, points[1].c2);
+});
+
+test('toSVGPath scales x to 8-bit levels', () => {
+    const points = [{ x: 0, y: 0, c1: null, c2: null }, { x: 1023, y: 1, c1: null, c2: null }];
+
+    assert.equal(CurveModel.toSVGPath(points, 1023), 'M0,0 C0,0 255,1 255,1');
+});
+
+test('fromLevels8 undoes toLevels8 for every level it writes', () => {
+    assert.equal(CurveModel.toLevels8(110.31297649098815), 110.31297649098815);
+    assert.equal(CurveModel.fromLevels8(110.31297649098815), 110.31297649098815);
+
+    for (const maxX of [1023, 4095, 65535]) {
+        for (let i = 0; i < 1000; i++) {
+            const level = CurveModel.toLevels8(i * maxX / 999 + 0.1, maxX);
+            assert.equal(CurveModel.toLevels8(CurveModel.fromLevels8(level, maxX), maxX), level);
+        }
+    }
+});
+
+test('parseSVGPath reads cubic segments', () => {
+    const segments = CurveModel.parseSVGPath('M0,0.5 C10,0.5 118,0.2 128,0.2 C138,0.2 245,0.5 255,0.5');
+
+    assert.deepEqual(segments, [
+        { p0: { x: 0, y: 0.5 }, p1: { x: 10, y: 0.5 }, p2: { x: 118, y: 0.2 }, p3: { x: 128, y: 0.2 } },
+        { p0: { x: 128, y: 0.2 }, p1: { x: 138, y: 0.2 }, p2: { x: 245, y: 0.5 }, p3: { x: 255, y: 0.5 } }
+    ]);
+});
+
+test('parseSVGPath accepts spaces and commas as separators', () => {
+    const spaced = CurveModel.parseSVGPath('M 0 0.5 C 10 0.5 , 245 0.5 255 0.5');
+    const commas = CurveModel.parseSVGPath('M0,0.5C10,0.5,245,0.5,255,0.5');
+
+    assert.equal(spaced.length, 1);
+    assert.deepEqual(spaced, commas);
+    assert.deepEqual(spaced[0].p3, { x: 255, y: 0.5 });
+});
+
+test('parseSVGPath turns lines into Beziers with handles at thirds', () => {
+    const [segment] = CurveModel.parseSVGPath('M0,0 L255,1');
+
+    assert.deepEqual(segment.p0, { x: 0, y: 0 });
+    assert.deepEqual(segment.p1, { x: 85, y: 1 / 3 });
+    assert.deepEqual(segment.p2, { x: 170, y: 2 / 3 });
+    assert.deepEqual(segment.p3, { x: 255, y: 1 });
+});
+
+test('parseSVGPath closes the path back to its start', () => {
+    const segments = CurveModel.parseSVGPath('M0,0 L255,1 Z');
+
+    assert.equal(segments.length, 2);
+    assert.deepEqual(segments[1].p0, { x: 255, y: 1 });
+    assert.deepEqual(segments[1].p3, { x: 0, y: 0 });
+});
+
+test('parseSVGPath returns no segments for paths that draw nothing', () => {
+    assert.deepEqual(CurveModel.parseSVGPath(''), []);
+    assert.deepEqual(CurveModel.parseSVGPath('  '), []);
+    assert.deepEqual(CurveModel.parseSVGPath('M0,0.5'), []);
+});
+
+// Segments with coordinates rounded to 9 decimals (and -0 as 0), for comparing converted curves
+const round = value => Math.round(value * 1e9) / 1e9 + 0;
+const roundedSegments = segments => segments.map(segment => Object.fromEntries(Object.entries(segment)
+    .map(([key, p]) => [key, { x: round(p.x), y: round(p.y) }])));
+
+test('parseSVGPath reads relative commands from the current point', () => {
+    const absolute = CurveModel.parseSVGPath('M10,0.5 C20,0.5 118,0.2 128,0.2 L255,0.6');
+    const relative = CurveModel.parseSVGPath('m10,0.5 c10,0 108,-0.3 118,-0.3 l127,0.4');
+
+    assert.deepEqual(roundedSegments(relative), roundedSegments(absolute));
+});
+
+test('parseSVGPath reads horizontal and vertical lines', () => {
+    const segments = CurveModel.parseSVGPath('M0,0 H120 V1 h135 v-0.5');
+
+    assert.deepEqual(segments.map(s => s.p3), [{ x: 120, y: 0 }, { x: 120, y: 1 }, { x: 255, y: 1 }, { x: 255, y: 0.5 }]);
+    assert.deepEqual(segments[0].p1, { x: 40, y: 0 });
+});
+
+test('parseSVGPath mirrors the previous handle for smooth cubics', () => {
+    const smooth = CurveModel.parseSVGPath('M0,0 C10,0 118,0.4 128,0.5 S245,1 255,1');
+    const explicit = CurveModel.parseSVGPath('M0,0 C10,0 118,0.4 128,0.5 C138,0.6 245,1 255,1');
+
+    assert.deepEqual(roundedSegments(smooth), roundedSegments(explicit));
+
+    // Without a preceding cubic the first handle is the current point
+    const [first] = CurveModel.parseSVGPath('M0,0 S245,1 255,1');
+    assert.deepEqual(first.p1, { x: 0, y: 0 });
+});
+
+test('parseSVGPath converts quadratics to cubics', () => {
+    const [quadratic] = CurveModel.parseSVGPath('M0,0 Q120,1 255,0');
+
+    assert.deepEqual(roundedSegments([quadratic]), roundedSegments([{
+        p0: { x: 0, y: 0 },
+        p1: { x: 80, y: 2 / 3 },
+        p2: { x: 255 - 135 * 2 / 3, y: 2 / 3 },
+        p3: { x: 255, y: 0 }
+    }]));
+
+    // T reflects the previous control point, here (128, 1) around (64, 0.5)
+    const smooth = CurveModel.parseSVGPath('M0,0 Q0,1 64,0.5 T128,0.5');
+    const explicit = CurveModel.parseSVGPath('M0,0 Q0,1 64,0.5 Q128,0 128,0.5');
+    assert.deepEqual(roundedSegments(smooth), roundedSegments(explicit));
+});
+
+test('parseSVGPath converts arcs to cubics', () => {
+    // A half circle of radius 100 from (0, 0) to (200, 0) through (100, 100), in two quarters. The sweep
+    // flag 0 turns towards negative angles, which is up in graph coordinates.
+    const segments = CurveModel.parseSVGPath('M0,0 A100,100 0 0,0 200,0');
+    const kappa = 4 / 3 * Math.tan(Math.PI / 8) * 100;
+
+    assert.deepEqual(roundedSegments(segments), roundedSegments([
+        { p0: { x: 0, y: 0 }, p1: { x: 0, y: kappa }, p2: { x: 100 - kappa, y: 100 }, p3: { x: 100, y: 100 } },
+        { p0: { x: 100, y: 100 }, p1: { x: 100 + kappa, y: 100 }, p2: { x: 200, y: kappa }, p3: { x: 200, y: 0 } }
+    ]));
+
+    // Flags may be written without separators; a zero radius is a line
+    assert.equal(CurveModel.parseSVGPath('M0,0 a100 100 0 0110 10').length, 1);
+    assert.deepEqual(CurveModel.parseSVGPath('M0,0 A0,5 0 0 1 255,1')[0].p1, { x: 85, y: 1 / 3 });
+});
+
+test('parseSVGPath reads exponents and implicitly repeated commands', () => {
+    const segments = CurveModel.parseSVGPath('M0,5e-1 128,2.5E-1 255.,.5');
+
+    assert.deepEqual(segments.map(s => [s.p0, s.p3]), [
+        [{ x: 0, y: 0.5 }, { x: 128, y: 0.25 }],
+        [{ x: 128, y: 0.25 }, { x: 255, y: 0.5 }]
+    ]);
+
+    // Repeated pairs after m are relative lines; numbers run together at signs and dots
+    const relative = CurveModel.parseSVGPath('m0,0.5 128-0.25 127.5.25');
+    assert.deepEqual(relative.map(s => s.p3), [{ x: 128, y: 0.25 }, { x: 255.5, y: 0.5 }]);
+});
+
+test('parseSVGPath reports malformed paths with a code and position', () => {
+    const cases = [
+        ['0,0.5 255,0.5', 'missing-moveto', 0],
+        ['M0,0.5 C10,0.5 245', 'expected-number', 18],
+        ['M0,0 A10,10 0 2 1 255,1', 'expected-flag', 14],
+        ['M0,0 L255,1 X', 'unexpected-character', 12],
+        ['M0,0 L255,1 Z 10', 'unexpected-number', 14]
+    ];
+
+    for (const [path, code, index] of cases) {
+        assert.throws(() => CurveModel.parseSVGPath(path), error =>
+            error instanceof CurveModel.PathError && error.code === code && error.index === index, path);
+    }
+    assert.throws(() => CurveModel.parseSVGPath('M0,0 Lx'), { name: 'CurvePathError', command: 'L' });
+});
@@ -0,0 +1,465 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, renderMarkup, plain, readGolden } = require('./browser-stub.js');
+
+async function createGray(options = {}) {
+    const { window, document } = loadScripts();
+    renderMarkup(document, 1);
+    return window.hdrGrayCanvasInit(1, null, options);
+}
+
+async function createRgb(options = {}) {
+    const { window, document } = loadScripts(['hdr-curve-model.js', 'hdr-split-rgb.js']);
+    renderMarkup(document, 1, 'rgb');
+    return window.hdrRgbCanvasInit(1, null, options);
+}
+
+const point = (x, y, c1 = null, c2 = null) => ({ x, y, c1, c2 });
+
+// The path C# stores for a state: one cubic segment per pair of points
+function toPath(points) {
+    const handle = (c, p) => (c ? `${c.x},${c.y}` : `${p.x},${p.y}`);
+    return `M${points[0].x},${points[0].y}` + points.slice(1).map((p, i) =>
+        ` C${handle(points[i].c2, points[i])} ${handle(p.c1, p)} ${p.x},${p.y}`).join('');
+}
+
+test('hdr-split.js loads without hdr-curve-model.js and init names the missing script', async () => {
+    const { window, document } = loadScripts(['hdr-split.js']);
+    renderMarkup(document, 1);
+
+    await assert.rejects(window.hdrGrayCanvasInit(1, null), /hdr-curve-model\.js/);
+});
+
+test('the editor weights match the golden vectors', async () => {
+    const golden = readGolden('curve-weights.json');
+    const editor = await createGray();
+
+    for (const curve of golden.cases) {
+        assert.ok(editor.setState({ version: '1.0', interpolation: curve.interpolation, points: curve.points }), curve.name);
+        const weights = editor.getWeights();
+        for (const [x, expected] of curve.samples) {
+            assert.ok(Math.abs(weights[x] - expected) <= golden.tolerance,
+                `${curve.name} at ${x}: expected ${expected}, got ${weights[x]}`);
+        }
+    }
+    editor.dispose();
+});
+
+test('getState and setState round-trip the curve', async () => {
+    const editor = await createGray();
+    const state = {
+        version: '1.0',
+        interpolation: 'monotone-cubic',
+        bitDepth: 8,
+        lutSize: 256,
+        points: [
+            { id: 1, ...point(0, 0.1, null, { x: 10, y: 0.1 }) },
+            { id: 7, ...point(90, 0.7, { x: 80, y: 0.7 }, { x: 100, y: 0.7 }) },
+            { id: 2, ...point(255, 0.9, { x: 245, y: 0.9 }, null) }
+        ]
+    };
+
+    assert.ok(editor.setState(state));
+    assert.deepEqual(plain(editor.getState()), state);
+
+    const other = await createGray();
+    other.setState(editor.getState());
+    assert.deepEqual(Array.from(other.getWeights()), Array.from(editor.getWeights()));
+
+    editor.dispose();
+    other.dispose();
+});
+
+test('getState and setState keep fractional x through JSON', async () => {
+    const editor = await createGray();
+    assert.equal(editor.reload('M0,0.2 C10,0.2 90.5,0.5 100.5,0.5 C110.5,0.5 245,0.8 255,0.8'), 1);
+    const state = plain(editor.getState());
+    const path = editor.toSVGPath();
+
+    assert.ok(editor.importJSON(editor.exportJSON()));
+    assert.deepEqual(plain(editor.getState()), state);
+    assert.equal(editor.toSVGPath(), path);
+
+    // Neighbouring fractional points stay apart, with their handles beside them
+    assert.ok(editor.setState({ points: [
+        point(0, 0), point(100.2, 0.3, { x: 99.2, y: 0.3 }, null), point(100.4, 0.6, null, { x: 101.4, y: 0.6 }), point(255, 1)
+    ] }));
+    assert.deepEqual(plain(editor.getState().points.map(p => [p.x, (p.c1 || p.c2 || p).x])),
+        [[0, 0], [100.2, 99.2], [100.4, 101.4], [255, 255]]);
+    editor.dispose();
+});
+
+test('setState rejects points that share x', async () => {
+    const editor = await createGray();
+    const before = plain(editor.getState());
+    const errors = [];
+    editor.on('error', detail => errors.push(...detail.errors));
+
+    assert.equal(editor.setState({ points: [point(0, 0), point(100, 0.3), point(100, 0.6), point(255, 1)] }), false);
+    assert.deepEqual(errors.map(error => error.path), ['points[2].x']);
+    assert.deepEqual(plain(editor.getState()), before);
+    editor.dispose();
+});
+
+test('setState sorts points by x', async () => {
+    const editor = await createGray();
+    editor.setState({ points: [point(255, 1), point(0, 0), point(128, 0.5)] });
+
+    assert.deepEqual(plain(editor.getState().points.map(p => p.x)), [0, 128, 255]);
+    editor.dispose();
+});
+
+test('setState rejects invalid states and keeps the current curve', async () => {
+    const editor = await createGray();
+    const before = plain(editor.getState());
+    let changes = 0;
+    editor.on('change', () => changes++);
+
+    const invalid = [
+        null,
+        {},
+        { points: 'M0,0 L255,1' },
+        { points: [point(0, 0), point(256, 1)] },
+        { points: [point(-1, 0), point(255, 1)] },
+        { points: [point(0, -0.1), point(255, 1)] },
+        { points: [point(0, 0), point(255, 1.5)] },
+        { points: [point('0', 0), point(255, 1)] },
+        { points: [point(0, 0), point(255, NaN)] },
+        { interpolation: 'spline', points: [point(0, 0), point(255, 1)] }
+    ];
+
+    for (const state of invalid) {
+        assert.equal(editor.setState(state), false, JSON.stringify(state));
+    }
+    assert.deepEqual(plain(editor.getState()), before);
+    assert.equal(changes, 0);
+    editor.dispose();
+});
+
+test('setState keeps saved ids and numbers points without them', async () => {
+    const editor = await createGray();
+
+    assert.ok(editor.setState({ points: [{ id: 4, ...point(0, 0) }, { id: 9, ...point(255, 1) }] }));
+    assert.deepEqual(plain(editor.getState().points.map(p => p.id)), [4, 9]);
+    assert.equal(editor.nextPointId, 10);
+
+    // Duplicate or missing ids number every point again
+    for (const points of [
+        [point(255, 1), point(0, 0), point(128, 0.5)],
+        [{ id: 3, ...point(0, 0) }, { id: 3, ...point(255, 1) }],
+        [{ id: 3, ...point(0, 0) }, { id: 1.5, ...point(255, 1) }]
+    ]) {
+        assert.ok(editor.setState({ points }));
+        assert.deepEqual(plain(editor.getState().points.map(p => p.id)), points.map((p, i) => i + 1));
+        assert.equal(editor.nextPointId, points.length + 1);
+    }
+    editor.dispose();
+});
+
+test('importJSON(exportJSON()) keeps the point ids', async () => {
+    const editor = await createGray();
+    editor.setState({ points: [{ id: 2, ...point(0, 0) }, { id: 12, ...point(100, 0.4) }, { id: 5, ...point(255, 1) }] });
+    const other = await createGray();
+
+    assert.ok(other.importJSON(editor.exportJSON()));
+    assert.deepEqual(plain(other.getState()), plain(editor.getState()));
+    editor.dispose();
+    other.dispose();
+});
+
+test('setState reports the schema errors of a rejected state', async () => {
+    const editor = await createGray();
+    const reported = [];
+    editor.on('error', detail => reported.push(plain(detail.errors)));
+
+    assert.equal(editor.setState({ version: '9.0', points: [point(0, 0), point(255, 1)] }), false);
+    assert.equal(editor.importJSON('{ "points": '), false);
+
+    assert.deepEqual(reported[0].map(error => error.path), ['version']);
+    assert.equal(reported[1][0].path, '');
+    assert.match(reported[1][0].message, /^Invalid JSON/);
+    editor.dispose();
+});
+
+test('the gray editor loads RGB states through a channel or their luminance', async () => {
+    const editor = await createGray();
+    const rgb = {
+        version: '2.0',
+        type: 'rgb',
+        channels: {
+            r: { points: [point(0, 0), point(255, 1)] },
+            g: { points: [point(0, 0), point(255, 1)] },
+            b: { points: [point(0, 1), point(255, 0)] }
+        }
+    };
+
+    assert.ok(editor.setState(rgb, { channel: 'b' }));
+    assert.deepEqual(plain(editor.getState().points.map(p => [p.x, p.y])), [[0, 1], [255, 0]]);
+
+    assert.ok(editor.importJSON(JSON.stringify(rgb)));
+    const [first, last] = editor.getState().points;
+    assert.ok(Math.abs(first.y - 0.0722) < 1e-12);
+    assert.ok(Math.abs(last.y - 0.9278) < 1e-12);
+
+    // An unknown channel is reported like the schema errors
+    const before = plain(editor.getState());
+    const errors = [];
+    editor.on('error', detail => errors.push(...detail.errors));
+    assert.equal(editor.setState(rgb, { channel: 'R' }), false);
+    assert.deepEqual(errors.map(error => error.path), ['channel']);
+    assert.deepEqual(plain(editor.getState()), before);
+    editor.dispose();
+});
+
+test('setState defaults files without interpolation to bezier', async () => {
+    const editor = await createGray({ interpolation: 'linear' });
+
+    assert.ok(editor.setState({ points: [point(0, 0), point(255, 1)] }));
+    assert.equal(editor.getState().interpolation, 'bezier');
+    editor.dispose();
+});
+
+test('setState rescales x from the file resolution to the editor resolution', async () => {
+    const editor = await createGray({ bitDepth: 10 });
+    const eightBit = { points: [point(0, 0, null, { x: 51, y: 0 }), point(255, 1, { x: 204, y: 1 }, null)] };
+
+    assert.ok(editor.setState(eightBit));
+    const state = editor.getState();
+    assert.equal(state.lutSize, 1024);
+    assert.equal(state.points[1].x, 1023);
+    assert.ok(Math.abs(state.points[0].c2.x - 51 * 1023 / 255) < 1e-9);
+
+    // A 10-bit file loads back into an 8-bit editor
+    const small = await createGray();
+    assert.ok(small.setState(state));
+    assert.deepEqual(plain(small.getState().points), eightBit.points.map((p, i) => ({ id: i + 1, ...p })));
+
+    editor.dispose();
+    small.dispose();
+});
+
+test('setState accepts the boundary points 0 and maxX', async () => {
+    const editor = await createGray();
+
+    assert.ok(editor.setState({ points: [point(0, 0), point(255, 1)], interpolation: 'linear' }));
+    assert.equal(editor.getWeights()[0], 0);
+    assert.equal(editor.getWeights()[255], 1);
+    editor.dispose();
+});
+
+test('setState starts a new undo history', async () => {
+    const editor = await createGray();
+    editor.setState({ points: [point(0, 0), point(128, 0.3), point(255, 1)] });
+
+    assert.equal(editor.undo(), false);
+    assert.equal(editor.getState().points.length, 3);
+    editor.dispose();
+});
+
+test('reload(path) followed by getState round-trips a C# path', async () => {
+    const editor = await createGray();
+    const path = 'M0,0.5 C10,0.5 118,0.2 128,0.2 C138,0.2 245,0.5 255,0.5';
+
+    assert.equal(editor.reload(path), 1);
+    const state = plain(editor.getState());
+    assert.deepEqual(state.points, [
+        { id: 1, ...point(0, 0.5, null, { x: 10, y: 0.5 }) },
+        { id: 2, ...point(128, 0.2, { x: 118, y: 0.2 }, { x: 138, y: 0.2 }) },
+        { id: 3, ...point(255, 0.5, { x: 245, y: 0.5 }, null) }
+    ]);
+
+    // The path of the loaded state loads back into the same state
+    assert.equal(editor.reload(toPath(state.points)), 1);
+    assert.deepEqual(plain(editor.getState()), state);
+    editor.dispose();
+});
+
+test('reload(toSVGPath()) restores the same curve', async () => {
+    const editor = await createGray({ interpolation: 'catmull-rom' });
+    assert.ok(editor.setState({
+        interpolation: 'catmull-rom',
+        points: [
+            point(0, 0.1, null, { x: 12.5, y: 0.15 }),
+            point(100.4, 1 / 3, { x: 90.125, y: 0.3 }, { x: 110.75, y: 0.4 }),
+            point(100.6, 0.7, { x: 100.5, y: 0.7 }, { x: 120, y: 0.7 }),
+            point(255, 0.9, { x: 245, y: 0.9 }, null)
+        ]
+    }));
+    const state = plain(editor.getState());
+    const weights = Array.from(editor.getWeights());
+    const path = editor.toSVGPath();
+
+    assert.equal(editor.reload(path), 1);
+    assert.deepEqual(plain(editor.getState()), state);
+    assert.deepEqual(Array.from(editor.getWeights()), weights);
+    assert.equal(editor.toSVGPath(), path);
+    editor.dispose();
+});
+
+test('reload(toSVGPath()) keeps fractional x exactly', async () => {
+    const editor = await createGray();
+    assert.ok(editor.setState({ points: [
+        point(0, 0.2, null, { x: 37.3, y: 0.25 }),
+        point(110.31297649098815, 0.4, { x: 95.1, y: 0.4 }, { x: 163.8418444714007, y: 0.5 }),
+        point(203.03516091062556, 0.6, { x: 166.0257509325129, y: 0.6 }, { x: 248.01688967808514, y: 0.7 }),
+        point(255, 0.8, { x: 250.9, y: 0.8 }, null)
+    ] }));
+    const state = plain(editor.getState());
+    const path = editor.toSVGPath();
+
+    assert.equal(editor.reload(path), 1);
+    assert.deepEqual(plain(editor.getState()), state);
+    assert.equal(editor.toSVGPath(), path);
+    editor.dispose();
+});
+
+test('toSVGPath writes 8-bit levels at higher bit depths', async () => {
+    const editor = await createGray({ bitDepth: 10 });
+    editor.setState({ points: [point(0, 0, null, { x: 51, y: 0 }), point(255, 1, { x: 204, y: 1 }, null)] });
+    const state = editor.getState();
+
+    assert.equal(editor.toSVGPath(), 'M0,0 C51,0 204,1 255,1');
+
+    // Scaling to 8-bit levels can map neighbouring doubles onto the same level, so the editor's own x
+    // may come back changed in its last bit
+    assert.equal(editor.reload(editor.toSVGPath()), 1);
+    editor.getState().points.forEach((p, i) => {
+        assert.ok(Math.abs(p.x - state.points[i].x) < 1e-9);
+        assert.ok(Math.abs((p.c1 || p).x - (state.points[i].c1 || state.points[i]).x) < 1e-9);
+    });
+
+    // A path comes back unchanged
+    const path = 'M0,0 C12.3,0.1 110.31297649098815,0.4 163.8418444714007,0.5 C203.03516091062556,0.6 204.1,1 255,1';
+    assert.equal(editor.reload(path), 1);
+    assert.equal(editor.toSVGPath(), path);
+    editor.dispose();
+});
+
+test('selecting a fractional point after reload shows its nearest level', async () => {
+    const editor = await createGray();
+    assert.equal(editor.reload('M0,0.5 C10,0.5 90.4,0.25 100.4,0.25 C110.4,0.25 245,0.5 255,0.5'), 1);
+
+    editor.selectNextPoint(1);
+    editor.selectNextPoint(1);
+
+    assert.equal(editor.selectedPoint.x, 100.4);
+    assert.equal(editor.element('valueDisplay').textContent, '100');
+    assert.equal(editor.element('weightDisplay').textContent, editor.getWeights()[100].toFixed(3));
+    editor.dispose();
+});
+
+test('reload keeps the weights of the curve it was given', async () => {
+    const golden = readGolden('curve-weights.json');
+    const curve = golden.cases.find(c => c.name === 'bezier-s-curve');
+    const editor = await createGray();
+
+    editor.reload(toPath(curve.points));
+    for (const [x, expected] of curve.samples) {
+        assert.ok(Math.abs(editor.getWeights()[x] - expected) <= golden.tolerance, `at ${x}`);
+    }
+    editor.dispose();
+});
+
+test('reload with an empty path restores the default curve', async () => {
+    const editor = await createGray();
+    editor.setState({ points: [point(0, 0), point(100, 1), point(255, 0)] });
+
+    assert.equal(editor.reload(''), 1);
+    assert.deepEqual(plain(editor.getState().points.map(p => [p.x, p.y])), [[0, 0.5], [255, 0.5]]);
+    editor.dispose();
+});
+
+test('reload rejects malformed paths with an error event', async () => {
+    const editor = await createGray();
+    const before = plain(editor.getState());
+    const errors = [];
+    editor.on('error', detail => errors.push(detail.error.code));
+
+    assert.equal(editor.reload('not a path'), -1);
+    assert.equal(editor.reload('M0,0.5 C10,0.5'), -1);
+    assert.equal(editor.reload('M0,0.5'), -1);
+
+    assert.deepEqual(errors, ['missing-moveto', 'expected-number', 'no-segments']);
+    assert.deepEqual(plain(editor.getState()), before);
+    editor.dispose();
+});
+
+test('RGB setState loads each channel and skips invalid ones', async () => {
+    const editor = await createRgb();
+    const before = plain(editor.getState());
+
+    assert.ok(editor.setState({
+        version: '2.0',
+        type: 'rgb',
+        channels: {
+            r: { points: [point(0, 0), point(255, 1)] },
+            g: { points: [point(0, 0), point(300, 1)] }
+        }
+    }));
+
+    const state = editor.getState();
+    assert.deepEqual(plain(state.channels.r.points.map(p => [p.x, p.y])), [[0, 0], [255, 1]]);
+    assert.deepEqual(plain(state.channels.g), before.channels.g);
+    assert.deepEqual(plain(state.channels.b), before.channels.b);
+    assert.ok(Math.abs(editor.getWeights().r[128] - 128 / 255) < 0.001);
+    assert.equal(editor.getWeights().g[128], 0.5);
+
+    assert.equal(editor.setState({ points: [] }), false);
+    editor.dispose();
+});
+
+test('RGB setState keeps saved ids and continues the channel counter otherwise', async () => {
+    const editor = await createRgb();
+
+    editor.setState({ channels: {
+        r: { points: [{ id: 5, ...point(0, 0) }, { id: 6, ...point(255, 1) }] },
+        g: { points: [point(0, 0), point(255, 1)] }
+    } });
+
+    const ids = editor.getState().channels;
+    assert.deepEqual(plain(ids.r.points.map(p => p.id)), [5, 6]);
+    assert.deepEqual(plain(ids.g.points.map(p => p.id)), [3, 4]);
+    assert.deepEqual(plain(ids.b.points.map(p => p.id)), [1, 2]);
+    assert.equal(editor.channels.r.nextPointId, 7);
+    assert.equal(editor.channels.g.nextPointId, 5);
+    editor.dispose();
+});
+
+test('RGB toSVGPath writes the curve of one channel', async () => {
+    const editor = await createRgb();
+    editor.setState({ channels: { g: { points: [point(0, 0), point(127.5, 0.25, { x: 120, y: 0.2 }, { x: 135, y: 0.3 }), point(255, 1)] } } });
+
+    assert.equal(editor.toSVGPath('r'), 'M0,0.5 C10,0.5 245,0.5 255,0.5');
+    assert.equal(editor.toSVGPath('g'), 'M0,0 C0,0 120,0.2 127.5,0.25 C135,0.3 255,1 255,1');
+    assert.throws(() => editor.toSVGPath('a'), /Unknown channel/);
+    editor.dispose();
+});
+
+test('the RGB editor loads gray states into every channel', async () => {
+    const gray = await createGray({ bitDepth: 10 });
+    assert.ok(gray.setState({ lutSize: 1024, points: [point(0, 0.2), point(512, 0.9), point(1023, 0.4)] }));
+    const editor = await createRgb();
+
+    assert.ok(editor.importJSON(gray.exportJSON()));
+    const channels = editor.getState().channels;
+    for (const channel of ['r', 'g', 'b']) {
+        assert.deepEqual(plain(channels[channel].points.map(p => [p.x, p.y])), [[0, 0.2], [512 * 255 / 1023, 0.9], [255, 0.4]]);
+    }
+
+    gray.dispose();
+    editor.dispose();
+});
+
+test('RGB setState reports the channels it skipped', async () => {
+    const editor = await createRgb();
+    const reported = [];
+    editor.on('error', detail => reported.push(...plain(detail.errors)));
+
+    assert.ok(editor.setState({ channels: { r: { points: [point(0, 0), point(255, 1)] }, g: { points: [point(0, 2)] } } }));
+    assert.deepEqual(reported.map(error => error.path), ['channels.g.points', 'channels.g.points[0].y']);
+
+    reported.length = 0;
+    assert.equal(editor.setState({ version: '1.0', type: 'rgb', channels: { r: { points: [point(0, 0), point(255, 1)] } } }), false);
+    assert.deepEqual(reported.map(error => error.path), ['version']);
+    editor.dispose();
+});
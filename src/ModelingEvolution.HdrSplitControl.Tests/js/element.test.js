@@ -0,0 +1,190 @@
+// <hdr-split-canvas> (hdr-split-element.js): attributes and properties, switching modes, and the editor
+// teardown when the element leaves the page.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./browser-stub.js');
+
+const ELEMENT_SCRIPTS = ['hdr-curve-model.js', 'hdr-split.js', 'hdr-split-rgb.js', 'hdr-split-element.js'];
+
+const point = (x, y) => ({ x, y, c1: null, c2: null });
+const CURVE = { version: '1.0', points: [point(0, 0.2), point(128, 0.9), point(255, 0.4)] };
+
+function createPage(options = {}) {
+    const { window, document } = loadScripts(ELEMENT_SCRIPTS, options);
+    const create = (attributes = {}) => {
+        const element = document.createElement('hdr-split-canvas');
+        for (const [name, value] of Object.entries(attributes)) element.setAttribute(name, value);
+        return element;
+    };
+    return { window, document, create };
+}
+
+const grayPoints = state => plain(state.points.map(p => [p.x, p.y]));
+
+// Migrating between modes goes through the RGB channel math, which may change the last bit of y
+function assertPointsNear(actual, expected) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach(([x, y], i) => {
+        assert.equal(x, expected[i][0]);
+        assert.ok(Math.abs(y - expected[i][1]) < 1e-9, `point ${i}: expected y ${expected[i][1]}, got ${y}`);
+    });
+}
+
+test('the editor is built when the element is connected and registered under its id', () => {
+    const { window, document, create } = createPage();
+    const element = create();
+
+    assert.equal(element.editor, null);
+    assert.equal(element.weights, null);
+
+    document.body.appendChild(element);
+    assert.ok(element.editor instanceof window.HDRSplitCanvas);
+    assert.equal(element.mode, 'gray');
+    assert.equal(window.hdrEditors.gray.get(element.editorId), element.editor);
+    assert.equal(element.weights.length, 256);
+    assert.ok(element.shadowRoot.getElementById(`canvas-${element.editorId}`));
+
+    document.body.removeChild(element);
+});
+
+test('a state attribute set before connecting is applied to the new editor', () => {
+    const { document, create } = createPage();
+    const element = create({ state: JSON.stringify(CURVE) });
+
+    assert.deepEqual(plain(element.state), CURVE);
+
+    document.body.appendChild(element);
+    assert.deepEqual(grayPoints(element.state), [[0, 0.2], [128, 0.9], [255, 0.4]]);
+    assert.equal(element.pendingState, null);
+
+    document.body.removeChild(element);
+});
+
+test('the state attribute and property replace the curve of a connected element', () => {
+    const { document, create } = createPage();
+    const element = create();
+    document.body.appendChild(element);
+
+    element.setAttribute('state', JSON.stringify(CURVE));
+    assert.deepEqual(grayPoints(element.state), [[0, 0.2], [128, 0.9], [255, 0.4]]);
+
+    element.state = { version: '1.0', points: [point(0, 1), point(255, 0)] };
+    assert.deepEqual(grayPoints(element.state), [[0, 1], [255, 0]]);
+    assert.ok(Math.abs(element.weights[0] - 1) < 1e-6);
+
+    document.body.removeChild(element);
+});
+
+test('a state attribute that is not JSON is reported and leaves the curve alone', () => {
+    const errors = [];
+    const { document, create } = createPage({ onError: message => errors.push(message) });
+    const element = create({ state: JSON.stringify(CURVE) });
+    document.body.appendChild(element);
+
+    element.setAttribute('state', '{ not json');
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /not valid JSON/);
+    assert.deepEqual(grayPoints(element.state), [[0, 0.2], [128, 0.9], [255, 0.4]]);
+
+    document.body.removeChild(element);
+});
+
+test('readonly follows the attribute and the property', () => {
+    const { document, create } = createPage();
+    const element = create({ readonly: '' });
+    document.body.appendChild(element);
+
+    assert.equal(element.readonly, true);
+    assert.equal(element.editor.readonly, true);
+
+    element.readonly = false;
+    assert.equal(element.hasAttribute('readonly'), false);
+    assert.equal(element.editor.readonly, false);
+
+    element.setAttribute('readonly', '');
+    assert.equal(element.readonly, true);
+    assert.equal(element.editor.readonly, true);
+
+    document.body.removeChild(element);
+});
+
+test('every curve change is dispatched as a change event with the weights', () => {
+    const { document, create } = createPage();
+    const element = create();
+    document.body.appendChild(element);
+    const events = [];
+    element.addEventListener('change', event => events.push(event.detail));
+
+    element.state = CURVE;
+    assert.ok(events.length > 0);
+    assert.equal(events[events.length - 1].weights.length, 256);
+
+    document.body.removeChild(element);
+});
+
+test('switching mode rebuilds the editor and carries the curve over', () => {
+    const { window, document, create } = createPage();
+    const element = create({ state: JSON.stringify(CURVE) });
+    document.body.appendChild(element);
+    const gray = element.editor;
+
+    element.mode = 'rgb';
+    assert.equal(element.getAttribute('mode'), 'rgb');
+    assert.ok(element.editor instanceof window.HDRSplitCanvasRGB);
+    assert.equal(gray.disposed, true);
+    assert.equal(window.hdrEditors.gray.has(element.editorId), false);
+    assert.equal(window.hdrEditors.rgb.get(element.editorId), element.editor);
+    assert.ok(element.shadowRoot.getElementById(`rWeight-${element.editorId}`));
+
+    const channels = element.state.channels;
+    for (const channel of ['r', 'g', 'b']) {
+        assert.deepEqual(plain(channels[channel].points.map(p => [p.x, p.y])), [[0, 0.2], [128, 0.9], [255, 0.4]]);
+    }
+
+    element.mode = 'gray';
+    assert.ok(element.editor instanceof window.HDRSplitCanvas);
+    assert.equal(window.hdrEditors.rgb.size, 0);
+    assertPointsNear(grayPoints(element.state), [[0, 0.2], [128, 0.9], [255, 0.4]]);
+
+    document.body.removeChild(element);
+});
+
+test('disconnecting disposes the editor and reconnecting restores the curve', () => {
+    const { window, document, create } = createPage();
+    const element = create({ state: JSON.stringify(CURVE) });
+    document.body.appendChild(element);
+    const editor = element.editor;
+    const canvas = editor.canvas;
+    assert.ok(canvas.listeners.pointerdown.length > 0);
+
+    document.body.removeChild(element);
+    assert.equal(element.editor, null);
+    assert.equal(editor.disposed, true);
+    assert.equal(window.hdrEditors.gray.size, 0);
+    assert.equal(element.shadowRoot.innerHTML, '');
+    assert.ok(Object.values(canvas.listeners).every(handlers => handlers.length === 0));
+    assert.deepEqual(grayPoints(element.state), [[0, 0.2], [128, 0.9], [255, 0.4]]);
+
+    document.body.appendChild(element);
+    assert.notEqual(element.editor, editor);
+    assert.equal(window.hdrEditors.gray.get(element.editorId), element.editor);
+    assert.deepEqual(grayPoints(element.state), [[0, 0.2], [128, 0.9], [255, 0.4]]);
+
+    document.body.removeChild(element);
+});
+
+test('every element gets its own editor id', () => {
+    const { window, document, create } = createPage();
+    const first = create();
+    const second = create({ mode: 'rgb' });
+    document.body.appendChild(first);
+    document.body.appendChild(second);
+
+    assert.notEqual(first.editorId, second.editorId);
+    assert.equal(window.hdrEditors.gray.size, 1);
+    assert.equal(window.hdrEditors.rgb.size, 1);
+
+    document.body.removeChild(first);
+    document.body.removeChild(second);
+    assert.equal(window.hdrEditors.gray.size + window.hdrEditors.rgb.size, 0);
+});
@@ -0,0 +1,320 @@
+// The messages the editors send to .NET through the DotNetObjectReference. HdrSplitCanvas.razor and
+// HdrSplitCanvasRgb.razor replay them on HdrCurveState, so their order and arguments are the contract.
+// Every message ends with its revision (a batch and a snapshot start with it), counting up from 1.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, renderMarkup, createDotNetRef, pointerAt, plain } = require('./browser-stub.js');
+
+async function createGray(options = {}) {
+    const { window, document } = loadScripts();
+    renderMarkup(document, 1);
+    const dotnetRef = createDotNetRef();
+    const editor = await window.hdrGrayCanvasInit(1, dotnetRef, options);
+    return { editor, calls: dotnetRef.calls };
+}
+
+async function createRgb(options = {}) {
+    const { window, document } = loadScripts(['hdr-curve-model.js', 'hdr-split-rgb.js']);
+    renderMarkup(document, 1, 'rgb');
+    const dotnetRef = createDotNetRef();
+    const editor = await window.hdrRgbCanvasInit(1, dotnetRef, options);
+    return { editor, calls: dotnetRef.calls };
+}
+
+// Press, optionally drag through the given graph positions, and release
+function drag(editor, from, ...path) {
+    editor.onPointerDown(pointerAt(editor, from.x, from.y));
+    path.forEach(p => editor.onPointerMove(pointerAt(editor, p.x, p.y)));
+    const end = path.length ? path[path.length - 1] : from;
+    editor.onPointerUp(pointerAt(editor, end.x, end.y));
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Calls with numbers rounded to 6 decimals, as plain data
+const rounded = calls => JSON.parse(JSON.stringify(calls, (key, value) =>
+    (typeof value === 'number' ? Math.round(value * 1e6) / 1e6 : value)));
+
+test('initialization sends nothing', async () => {
+    const { editor, calls } = await createGray();
+
+    assert.deepEqual(calls, []);
+    editor.dispose();
+});
+
+test('adding, moving and removing a point', async () => {
+    const { editor, calls } = await createGray();
+
+    drag(editor, { x: 100, y: 0.25 });
+    assert.deepEqual(plain(calls), [['a', 3, 100, 0.25, 1]]);
+
+    // Moves are sent while dragging, and once more where the point is dropped
+    calls.length = 0;
+    drag(editor, { x: 100, y: 0.25 }, { x: 110, y: 0.25 }, { x: 120, y: 0.25 });
+    assert.deepEqual(plain(calls), [['mv', 3, 110, 0.25, 2], ['mv', 3, 120, 0.25, 3], ['mv', 3, 120, 0.25, 4]]);
+
+    // Clicking selects the point; Delete removes it
+    drag(editor, { x: 120, y: 0.25 });
+    calls.length = 0;
+    editor.onKeyDown({ key: 'Delete', preventDefault() {} });
+    assert.deepEqual(plain(calls), [['d', 3, 6]]);
+
+    editor.dispose();
+});
+
+test('handles are sent relative to their point', async () => {
+    const { editor, calls } = await createGray();
+    drag(editor, { x: 100, y: 0.25 });
+    calls.length = 0;
+
+    const point = editor.points.find(p => p.id === 3);
+    drag(editor, point.c2, { x: point.c2.x + 10, y: 0.5 });
+
+    assert.deepEqual(rounded(calls), [['c2m', 3, 20, 0.25, 2]]);
+    editor.dispose();
+});
+
+test('undoing a drag restores the neighbouring handles it clamped', async () => {
+    const { editor, calls } = await createGray();
+    editor.setState({ points: [
+        { x: 0, y: 0.5, c1: null, c2: { x: 10, y: 0.5 } },
+        { x: 100, y: 0.5, c1: { x: 90, y: 0.5 }, c2: { x: 110, y: 0.5 } },
+        { x: 150, y: 0.5, c1: { x: 140, y: 0.5 }, c2: { x: 160, y: 0.5 } },
+        { x: 255, y: 0.5, c1: { x: 245, y: 0.5 }, c2: null }
+    ] });
+    const before = plain(editor.getState());
+
+    drag(editor, { x: 100, y: 0.5 }, { x: 147, y: 0.5 });
+    assert.equal(editor.getState().points[2].c1.x, 147);
+    calls.length = 0;
+
+    assert.ok(editor.undo());
+    assert.deepEqual(plain(editor.getState()), before);
+    // .NET gets the neighbour's handle back as well, relative to its point
+    assert.deepEqual(rounded(calls.filter(call => call[1] === 3 && call[0] === 'c1m')).map(call => call.slice(0, 4)),
+        [['c1m', 3, -10, 0]]);
+
+    assert.ok(editor.redo());
+    assert.equal(editor.getState().points[2].c1.x, 147);
+    editor.dispose();
+});
+
+test('the first and last point cannot be removed', async () => {
+    const { editor, calls } = await createGray();
+
+    drag(editor, { x: 0, y: 0.5 });
+    editor.onKeyDown({ key: 'Delete', preventDefault() {} });
+    drag(editor, { x: 255, y: 0.5 });
+    editor.onKeyDown({ key: 'Delete', preventDefault() {} });
+
+    assert.equal(calls.filter(call => call[0] === 'd').length, 0);
+    assert.equal(editor.points.length, 2);
+    editor.dispose();
+});
+
+test('switching interpolation sends the mode name', async () => {
+    const { editor, calls } = await createGray();
+
+    editor.setInterpolation('catmull-rom');
+    editor.setInterpolation('catmull-rom');
+    editor.setInterpolation('unknown');
+
+    assert.deepEqual(plain(calls), [['im', 'catmull-rom', 1]]);
+    editor.dispose();
+});
+
+test('reset sends the default curve as one snapshot', async () => {
+    const { editor, calls } = await createGray();
+    const events = [];
+    editor.on('reset', () => events.push('reset'));
+    editor.on('pointadded', detail => events.push(detail.id));
+    drag(editor, { x: 100, y: 0.25 });
+    calls.length = 0;
+
+    editor.reset();
+    assert.deepEqual(plain(calls), [
+        ['s', 2, {
+            interpolation: 'bezier',
+            points: [
+                { id: 1, x: 0, y: 0.5, c1: null, c2: { dx: 10, dy: 0 } },
+                { id: 2, x: 255, y: 0.5, c1: { dx: -10, dy: 0 }, c2: null }
+            ]
+        }]
+    ]);
+
+    // Other subscribers still see the reset and the new points
+    assert.deepEqual(events, [3, 'reset', 1, 2]);
+    editor.dispose();
+});
+
+test('a snapshot on request describes the curve in 8-bit levels', async () => {
+    const { editor, calls } = await createGray({ bitDepth: 10, interpolation: 'linear' });
+    drag(editor, { x: 400, y: 0.25 });
+    calls.length = 0;
+
+    editor.sendSnapshot();
+    assert.equal(calls.length, 1);
+    const [method, revision, snapshot] = rounded(calls[0]);
+    assert.equal(method, 's');
+    assert.equal(revision, 2);
+    assert.equal(snapshot.interpolation, 'linear');
+    assert.deepEqual(snapshot.points.map(p => [p.id, p.x, p.y]), [[1, 0, 0.5], [3, rounded(400 * 255 / 1023), 0.25], [2, 255, 0.5]]);
+    assert.deepEqual(snapshot.points[1].c1, { dx: -10, dy: 0 });
+    editor.dispose();
+});
+
+test('reload is not echoed back to .NET', async () => {
+    const { editor, calls } = await createGray();
+
+    editor.reload('M0,0.5 C10,0.5 245,0.5 255,0.5');
+
+    assert.deepEqual(calls, []);
+    editor.dispose();
+});
+
+test('setState replaces the .NET curve with the loaded points', async () => {
+    const { editor, calls } = await createGray();
+
+    editor.setState({ points: [
+        { id: 8, x: 0, y: 0, c1: null, c2: { x: 10, y: 0.1 } },
+        { id: 3, x: 255, y: 1, c1: { x: 245, y: 0.9 }, c2: null }
+    ] });
+    assert.deepEqual(rounded(calls), [
+        ['s', 1, {
+            interpolation: 'bezier',
+            points: [
+                { id: 8, x: 0, y: 0, c1: null, c2: { dx: 10, dy: 0.1 } },
+                { id: 3, x: 255, y: 1, c1: { dx: -10, dy: -0.1 }, c2: null }
+            ]
+        }]
+    ]);
+
+    // Later edits name the loaded ids
+    calls.length = 0;
+    drag(editor, { x: 100, y: 0.5 });
+    assert.deepEqual(plain(calls[0]), ['a', 9, 100, 0.5, 2]);
+    editor.dispose();
+});
+
+test('x is sent in 8-bit levels at higher bit depths', async () => {
+    const { editor, calls } = await createGray({ bitDepth: 10 });
+
+    drag(editor, { x: 400, y: 0.5 });
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0][0], 'a');
+    assert.ok(Math.abs(calls[0][2] - 400 * 255 / 1023) < 1e-9);
+    editor.dispose();
+});
+
+test('batching merges messages into one numbered batch', async () => {
+    const { editor, calls } = await createGray({ batchInterval: 5 });
+
+    // The drag's moves collapse into the last one
+    drag(editor, { x: 100, y: 0.25 });
+    drag(editor, { x: 100, y: 0.25 }, { x: 105, y: 0.25 }, { x: 110, y: 0.25 });
+    assert.deepEqual(calls, []);
+
+    await wait(30);
+    assert.deepEqual(plain(calls), [['b', 1, [['a', 3, 100, 0.25], ['mv', 3, 110, 0.25]]]]);
+
+    // A snapshot goes out at once and drops the ops queued before it
+    drag(editor, { x: 110, y: 0.25 }, { x: 120, y: 0.25 });
+    editor.reset();
+    await wait(30);
+    assert.equal(calls.length, 2);
+    assert.deepEqual(plain(calls[1].slice(0, 2)), ['s', 2]);
+
+    drag(editor, { x: 100, y: 0.5 });
+    await wait(30);
+    assert.deepEqual(plain(calls[2]), ['b', 3, [['a', 3, 100, 0.5]]]);
+    editor.dispose();
+});
+
+test('the bridge follows the editor events', async () => {
+    const { editor, calls } = await createGray();
+    const events = [];
+    editor.on('pointadded', detail => events.push(['pointadded', detail.id]));
+    editor.on('pointmoved', detail => events.push(['pointmoved', detail.id]));
+
+    drag(editor, { x: 100, y: 0.25 });
+    drag(editor, { x: 100, y: 0.25 }, { x: 110, y: 0.25 });
+
+    assert.deepEqual(events, [['pointadded', 3], ['pointmoved', 3], ['pointmoved', 3]]);
+    assert.deepEqual(plain(calls.map(call => call[0])), ['a', 'mv', 'mv']);
+    editor.dispose();
+});
+
+test('RGB messages name the channel', async () => {
+    const { editor, calls } = await createRgb();
+
+    // Clicking on the flat curves adds to the first channel drawn there
+    drag(editor, { x: 100, y: 0.5 });
+    assert.deepEqual(plain(calls), [['a', 3, 100, 0.5, 'r', 1]]);
+
+    calls.length = 0;
+    drag(editor, { x: 100, y: 0.5 }, { x: 100, y: 0.75 });
+    assert.deepEqual(rounded(calls), [['mv', 3, 100, 0.75, 'r', 2]]);
+
+    editor.dispose();
+});
+
+test('RGB reset sends every channel as one snapshot', async () => {
+    const { editor, calls } = await createRgb();
+
+    editor.reset();
+
+    const flat = [
+        { id: 3, x: 0, y: 0.5, c1: null, c2: { dx: 10, dy: 0 } },
+        { id: 4, x: 255, y: 0.5, c1: { dx: -10, dy: 0 }, c2: null }
+    ];
+    assert.deepEqual(plain(calls), [['s', 1, { channels: { r: flat, g: flat, b: flat } }]]);
+    editor.dispose();
+});
+
+// The event types replace() sends, with repeats collapsed; handle moves are listed as 'handle'
+function replacementEvents(editor, replace) {
+    const events = [];
+    const handlers = ['reset', 'pointadded', 'pointremoved', 'pointmoved'].map(type =>
+        [type, detail => events.push(type === 'pointmoved' && detail.handle ? 'handle' : type)]);
+    handlers.forEach(([type, handler]) => editor.on(type, handler));
+    replace();
+    handlers.forEach(([type, handler]) => editor.off(type, handler));
+    return events.filter((type, i) => type !== events[i - 1]);
+}
+
+test('both editors announce a replaced curve with the same events', async () => {
+    const gray = (await createGray()).editor;
+    const rgb = (await createRgb()).editor;
+    const state = { points: [{ x: 0, y: 0, c1: null, c2: { x: 10, y: 0 } }, { x: 255, y: 1, c1: { x: 245, y: 1 }, c2: null }] };
+    const expected = ['reset', 'pointadded', 'handle'];
+
+    for (const editor of [gray, rgb]) {
+        assert.deepEqual(replacementEvents(editor, () => editor.reset()), expected);
+        assert.deepEqual(replacementEvents(editor, () => editor.setState(state)), expected);
+    }
+    gray.dispose();
+    rgb.dispose();
+});
+
+test('RGB setState replaces the points of each loaded channel', async () => {
+    const { editor, calls } = await createRgb();
+
+    editor.setState({ channels: { g: { points: [
+        { x: 0, y: 0, c1: null, c2: null },
+        { x: 255, y: 1, c1: null, c2: null }
+    ] } } });
+
+    assert.equal(calls.length, 1);
+    const [method, revision, snapshot] = plain(calls[0]);
+    assert.deepEqual([method, revision], ['s', 1]);
+    assert.deepEqual(snapshot.channels.g, [
+        { id: 3, x: 0, y: 0, c1: null, c2: null },
+        { id: 4, x: 255, y: 1, c1: null, c2: null }
+    ]);
+    assert.deepEqual(snapshot.channels.r.map(p => p.id), [1, 2]);
+
+    calls.length = 0;
+    drag(editor, { x: 0, y: 0 }, { x: 0, y: 0.2 });
+    assert.deepEqual(rounded(calls), [['mv', 3, 0, 0.2, 'g', 2]]);
+    editor.dispose();
+});
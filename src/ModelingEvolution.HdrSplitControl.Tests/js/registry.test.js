@@ -0,0 +1,88 @@
+// HdrSplit (hdr-split-registry.js): one store of live editors keyed by mode and id, shared with the
+// init functions, the Razor interop and dispose().
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, renderMarkup, plain } = require('./browser-stub.js');
+
+const ALL_SCRIPTS = ['hdr-curve-model.js', 'hdr-split.js', 'hdr-split-rgb.js', 'hdr-split-registry.js'];
+
+// A page with gray editor 1 and RGB editor 1, as with one HdrSplitCanvas and one HdrSplitCanvasRgb
+async function createPage() {
+    const { window, document } = loadScripts(ALL_SCRIPTS);
+    renderMarkup(document, 1);
+    renderMarkup(document, 1, 'rgb');
+    const gray = await window.HdrSplit.create('hdr-container-1');
+    const rgb = await window.HdrSplit.create('hdr-container-rgb-1');
+    return { window, gray, rgb };
+}
+
+test('editors of both modes can share an id', async () => {
+    const { window, gray, rgb } = await createPage();
+
+    assert.equal(window.HdrSplit.get(1, 'gray'), gray);
+    assert.equal(window.HdrSplit.get('1', 'rgb'), rgb);
+    assert.throws(() => window.HdrSplit.get(1), /pass the mode/);
+    assert.deepEqual(plain(window.HdrSplit.list().map(entry => [entry.mode, entry.id])), [['gray', 1], ['rgb', 1]]);
+
+    gray.dispose();
+    rgb.dispose();
+});
+
+test('destroy disposes the editor of the given mode only', async () => {
+    const { window, gray, rgb } = await createPage();
+
+    assert.equal(window.HdrSplit.destroy(1, 'rgb'), true);
+    assert.equal(window.HdrSplit.get(1, 'rgb'), null);
+    assert.equal(window.HdrSplit.get(1), gray);
+    assert.equal(window.HdrSplit.destroy(1, 'rgb'), false);
+    assert.equal(rgb.dotnetRef, null);
+
+    assert.equal(window.HdrSplit.destroy(1), true);
+    assert.equal(window.HdrSplit.list().length, 0);
+});
+
+test('dispose removes the DOM listeners and the registry entry', async () => {
+    const { window, gray, rgb } = await createPage();
+    const listened = editor => Object.values(editor.canvas.listeners).reduce((sum, handlers) => sum + handlers.length, 0);
+    assert.ok(listened(gray) > 0);
+    assert.ok(listened(rgb) > 0);
+
+    gray.dispose();
+    assert.equal(listened(gray), 0);
+    assert.equal(window.hdrEditors.gray.size, 0);
+    assert.equal(window.HdrSplit.get(1, 'rgb'), rgb);
+
+    rgb.dispose();
+    assert.equal(listened(rgb), 0);
+    assert.equal(window.hdrEditors.rgb.size, 0);
+});
+
+test('init rejects after initTimeout when the markup never shows up', async () => {
+    const { window } = loadScripts(ALL_SCRIPTS);
+
+    await assert.rejects(window.hdrGrayCanvasInit(1, null, { initTimeout: 10 }), /instance 1 could not be initialized.*canvas-1/);
+    await assert.rejects(window.hdrRgbCanvasInit(2, null, { initTimeout: 10 }), /instance 2 could not be initialized.*canvas-2/);
+    assert.equal(window.HdrSplit.list().length, 0);
+});
+
+test('create rejects a missing container and an unknown mode', async () => {
+    const { window, document } = loadScripts(ALL_SCRIPTS);
+    renderMarkup(document, 1);
+
+    await assert.rejects(window.HdrSplit.create('hdr-container-2'), /container hdr-container-2 not found/);
+    await assert.rejects(window.HdrSplit.create('hdr-container-1', { mode: 'hsv' }), /unknown mode hsv/);
+    assert.equal(window.HdrSplit.list().length, 0);
+});
+
+test('create on an id in use replaces and disposes the previous editor', async () => {
+    const { window, gray } = await createPage();
+
+    const replacement = await window.HdrSplit.create('hdr-container-1');
+    assert.notEqual(replacement, gray);
+    assert.equal(gray.disposed, true);
+    assert.equal(window.HdrSplit.get(1, 'gray'), replacement);
+
+    window.HdrSplit.destroy(1, 'gray');
+    window.HdrSplit.destroy(1, 'rgb');
+    assert.equal(window.HdrSplit.list().length, 0);
+});
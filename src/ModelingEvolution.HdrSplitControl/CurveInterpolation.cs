@@ -0,0 +1,57 @@
+namespace ModelingEvolution.HdrSplitControl;
+
+/// <summary>
+/// How the curve is interpolated between its points
+/// </summary>
+public enum CurveInterpolation
+{
+    /// <summary>
+    /// Cubic Bezier segments shaped by the control vectors
+    /// </summary>
+    Bezier,
+
+    /// <summary>
+    /// Cubic Hermite with Fritsch-Carlson tangents, never overshoots the points
+    /// </summary>
+    MonotoneCubic,
+
+    /// <summary>
+    /// Cubic Hermite with Catmull-Rom tangents, control vectors are ignored
+    /// </summary>
+    CatmullRom,
+
+    /// <summary>
+    /// Straight lines between points
+    /// </summary>
+    Linear,
+
+    /// <summary>
+    /// Holds the value of the left point until the next point
+    /// </summary>
+    Step
+}
+
+/// <summary>
+/// Maps <see cref="CurveInterpolation"/> to the mode names used by hdr-split.js
+/// </summary>
+public static class CurveInterpolationExtensions
+{
+    public static string ToJsName(this CurveInterpolation interpolation) => interpolation switch
+    {
+        CurveInterpolation.MonotoneCubic => "monotone-cubic",
+        CurveInterpolation.CatmullRom => "catmull-rom",
+        CurveInterpolation.Linear => "linear",
+        CurveInterpolation.Step => "step",
+        _ => "bezier"
+    };
+
+    public static CurveInterpolation FromJsName(string? name) => name switch
+    {
+        "monotone-cubic" => CurveInterpolation.MonotoneCubic,
+        "catmull-rom" => CurveInterpolation.CatmullRom,
+        "linear" => CurveInterpolation.Linear,
+        "step" => CurveInterpolation.Step,
+        "bezier" or null => CurveInterpolation.Bezier,
+        _ => throw new ArgumentException($"Unknown interpolation mode '{name}'", nameof(name))
+    };
+}
@@ -60,6 +60,7 @@ public class HdrCurveState : IParsable<HdrCurveState>
     private readonly Dictionary<(int, int), BezierF> _bezierCache = new();
     private bool _needsRecalculation = true;
     private int _baseId = 1;
+    private CurveInterpolation _interpolation = CurveInterpolation.Bezier;
 
     public void SetBase(int baseId)
     {
@@ -76,6 +77,20 @@ public class HdrCurveState : IParsable<HdrCurveState>
     }
 
     public IReadOnlyDictionary<int, CurvePoint> Points => _pointsById;
+
+    /// <summary>
+    /// Interpolation used for the weights; must match the mode active in JavaScript
+    /// </summary>
+    public CurveInterpolation Interpolation
+    {
+        get => _interpolation;
+        set
+        {
+            if (_interpolation == value) return;
+            _interpolation = value;
+            InvalidateCache();
+        }
+    }
     public float[] Weights
     {
         get
@@ -205,6 +220,23 @@ public class HdrCurveState : IParsable<HdrCurveState>
         InvalidateCache();
     }
 
+    /// <summary>
+    /// Replaces every point with the points of an editor snapshot, keeping their ids and handles
+    /// </summary>
+    public HdrCurveState LoadSnapshot(IEnumerable<CurveSnapshotPoint> points)
+    {
+        Clear();
+        foreach (var p in points)
+        {
+            AddPoint(p.Id, p.X, p.Y);
+            var point = _pointsById[p.Id];
+            point.ControlVector1 = p.C1 is { } c1 ? new VectorF(c1.Dx, c1.Dy) : null;
+            point.ControlVector2 = p.C2 is { } c2 ? new VectorF(c2.Dx, c2.Dy) : null;
+        }
+        InvalidateCache();
+        return this;
+    }
+
     private void InvalidateCache()
     {
         _bezierCache.Clear();
@@ -233,6 +265,13 @@ public class HdrCurveState : IParsable<HdrCurveState>
             return;
         }
 
+        if (Interpolation != CurveInterpolation.Bezier)
+        {
+            CalculateInterpolatedWeights(points);
+            _needsRecalculation = false;
+            return;
+        }
+
         // Create Bezier curves for each adjacent pair of points
         foreach (var (key, bezier) in GetBezierSegments()) 
             _bezierCache.TryAdd(key, bezier);
@@ -254,6 +293,116 @@ public class HdrCurveState : IParsable<HdrCurveState>
         _needsRecalculation = false;
     }
 
+    private void CalculateInterpolatedWeights(CurvePoint[] points)
+    {
+        var tangents = Interpolation switch
+        {
+            CurveInterpolation.MonotoneCubic => MonotoneTangents(points),
+            CurveInterpolation.CatmullRom => CatmullRomTangents(points),
+            _ => null
+        };
+
+        for (int x = 0; x < 256; x++)
+        {
+            _weights[x] = Math.Clamp(GetInterpolatedValueAtX(x, points, tangents), 0, 1);
+        }
+    }
+
+    private float GetInterpolatedValueAtX(float x, CurvePoint[] points, float[]? tangents)
+    {
+        if (x <= points[0].Position.X)
+            return points[0].Position.Y;
+        if (x >= points[^1].Position.X)
+            return points[^1].Position.Y;
+
+        for (int i = 0; i < points.Length - 1; i++)
+        {
+            var p1 = points[i].Position;
+            var p2 = points[i + 1].Position;
+            if (x < p1.X || x > p2.X)
+                continue;
+
+            float h = p2.X - p1.X;
+            if (h == 0) return p1.Y;
+
+            switch (Interpolation)
+            {
+                case CurveInterpolation.Linear:
+                    return p1.Y + (p2.Y - p1.Y) * (x - p1.X) / h;
+
+                case CurveInterpolation.Step:
+                    return x < p2.X ? p1.Y : p2.Y;
+
+                default:
+                    // Cubic Hermite with precomputed tangents
+                    float t = (x - p1.X) / h;
+                    float t2 = t * t;
+                    float t3 = t2 * t;
+                    return (2 * t3 - 3 * t2 + 1) * p1.Y
+                        + (t3 - 2 * t2 + t) * h * tangents![i]
+                        + (-2 * t3 + 3 * t2) * p2.Y
+                        + (t3 - t2) * h * tangents[i + 1];
+            }
+        }
+
+        return 0.5f;
+    }
+
+    private static float[] CatmullRomTangents(CurvePoint[] points)
+    {
+        var tangents = new float[points.Length];
+        for (int i = 0; i < points.Length; i++)
+        {
+            var prev = points[Math.Max(0, i - 1)].Position;
+            var next = points[Math.Min(points.Length - 1, i + 1)].Position;
+            tangents[i] = next.X == prev.X ? 0 : (next.Y - prev.Y) / (next.X - prev.X);
+        }
+        return tangents;
+    }
+
+    private static float[] MonotoneTangents(CurvePoint[] points)
+    {
+        int n = points.Length;
+        var tangents = new float[n];
+        var slopes = new float[n - 1];
+
+        for (int i = 0; i < n - 1; i++)
+        {
+            float h = points[i + 1].Position.X - points[i].Position.X;
+            slopes[i] = h == 0 ? 0 : (points[i + 1].Position.Y - points[i].Position.Y) / h;
+        }
+
+        tangents[0] = slopes[0];
+        tangents[n - 1] = slopes[n - 2];
+        for (int i = 1; i < n - 1; i++)
+        {
+            tangents[i] = slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+        }
+
+        // Fritsch-Carlson: limit tangents so no segment overshoots
+        for (int i = 0; i < n - 1; i++)
+        {
+            if (slopes[i] == 0)
+            {
+                tangents[i] = 0;
+                tangents[i + 1] = 0;
+                continue;
+            }
+
+            float a = tangents[i] / slopes[i];
+            float b = tangents[i + 1] / slopes[i];
+            float sum = a * a + b * b;
+            if (sum > 9)
+            {
+                float tau = 3 / MathF.Sqrt(sum);
+                tangents[i] = tau * a * slopes[i];
+                tangents[i + 1] = tau * b * slopes[i];
+            }
+        }
+
+        return tangents;
+    }
+
     private ((int, int), BezierF) CreateBezierSegment(CurvePoint leftPoint, CurvePoint rightPoint)
     {
         var key = (leftPoint.Id, rightPoint.Id);
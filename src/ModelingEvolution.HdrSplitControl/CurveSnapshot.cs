@@ -0,0 +1,22 @@
+namespace ModelingEvolution.HdrSplitControl;
+
+/// <summary>
+/// Control handle of a snapshot point, relative to the point like <see cref="CurvePoint.ControlVector1"/>
+/// </summary>
+public readonly record struct ControlOffset(float Dx, float Dy);
+
+/// <summary>
+/// One point of the whole-curve snapshot the editor sends, in 8-bit input levels. A null handle
+/// lies on its point.
+/// </summary>
+public record CurveSnapshotPoint(int Id, float X, float Y, ControlOffset? C1, ControlOffset? C2);
+
+/// <summary>
+/// Grayscale editor snapshot ('s' message): the interpolation name used by hdr-split.js and every point
+/// </summary>
+public record CurveSnapshot(string? Interpolation, CurveSnapshotPoint[] Points);
+
+/// <summary>
+/// RGB editor snapshot ('s' message): the points of each channel ("r", "g", "b")
+/// </summary>
+public record RgbCurveSnapshot(Dictionary<string, CurveSnapshotPoint[]> Channels);
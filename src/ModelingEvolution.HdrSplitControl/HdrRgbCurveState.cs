@@ -92,6 +92,21 @@ public class HdrRgbCurveState
         }
     }
 
+    /// <summary>
+    /// Replaces the points of every channel in the snapshot
+    /// </summary>
+    public void LoadSnapshot(RgbCurveSnapshot snapshot)
+    {
+        foreach (var (channel, points) in snapshot.Channels)
+        {
+            if (_channels.TryGetValue(channel, out var state))
+            {
+                state.LoadSnapshot(points);
+                UpdateWeights(channel);
+            }
+        }
+    }
+
     private void UpdateWeights(string channel)
     {
         if (_channels.TryGetValue(channel, out var state))
@@ -0,0 +1,25 @@
+namespace ModelingEvolution.HdrSplitControl;
+
+/// <summary>
+/// Vertical scaling of the image histogram drawn behind the curve
+/// </summary>
+public enum HistogramScale
+{
+    /// <summary>
+    /// Bin heights proportional to pixel counts
+    /// </summary>
+    Linear,
+
+    /// <summary>
+    /// Logarithmic bin heights, keeps sparse tones visible next to a dominant peak
+    /// </summary>
+    Log
+}
+
+/// <summary>
+/// Maps <see cref="HistogramScale"/> to the scale names used by hdr-split.js
+/// </summary>
+public static class HistogramScaleExtensions
+{
+    public static string ToJsName(this HistogramScale scale) => scale == HistogramScale.Log ? "log" : "linear";
+}
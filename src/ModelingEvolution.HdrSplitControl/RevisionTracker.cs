@@ -0,0 +1,88 @@
+namespace ModelingEvolution.HdrSplitControl;
+
+/// <summary>
+/// What to do with a message from the editor, see <see cref="RevisionTracker.Accept"/>
+/// </summary>
+public enum RevisionCheck
+{
+    /// <summary>
+    /// The next revision: apply the message
+    /// </summary>
+    Apply,
+
+    /// <summary>
+    /// Already covered by an applied message or snapshot, or a snapshot is on its way: drop the message
+    /// </summary>
+    Ignore,
+
+    /// <summary>
+    /// Revisions were skipped: drop the message and ask the editor for a snapshot
+    /// </summary>
+    Gap
+}
+
+/// <summary>
+/// Follows the revisions of the messages hdr-split.js and hdr-split-rgb.js send. Each message carries the
+/// next revision; one that skips ahead means an earlier message was lost or overtaken, and the curve is
+/// only right again after a snapshot.
+/// </summary>
+public class RevisionTracker
+{
+    /// <summary>
+    /// Revision of the last applied message or snapshot, 0 before the first one
+    /// </summary>
+    public long Revision { get; private set; }
+
+    /// <summary>
+    /// True after a gap until a newer snapshot arrives
+    /// </summary>
+    public bool AwaitingSnapshot { get; private set; }
+
+    /// <summary>
+    /// Checks the revision of a single message or batch; the revision counts as applied when Apply is returned
+    /// </summary>
+    public RevisionCheck Accept(long revision)
+    {
+        if (AwaitingSnapshot || revision <= Revision)
+            return RevisionCheck.Ignore;
+
+        if (revision > Revision + 1)
+        {
+            AwaitingSnapshot = true;
+            return RevisionCheck.Gap;
+        }
+
+        Revision = revision;
+        return RevisionCheck.Apply;
+    }
+
+    /// <summary>
+    /// Starts over at revision 0, for a newly created editor whose messages count up from 1 again
+    /// </summary>
+    public void Reset()
+    {
+        Revision = 0;
+        AwaitingSnapshot = false;
+    }
+
+    /// <summary>
+    /// Stops waiting for a snapshot that could not be requested, so the next message after the gap asks again
+    /// </summary>
+    public void SnapshotFailed()
+    {
+        AwaitingSnapshot = false;
+    }
+
+    /// <summary>
+    /// Returns true when the snapshot is newer than everything applied; it then replaces the curve
+    /// </summary>
+    public bool AcceptSnapshot(long revision)
+    {
+        if (revision <= Revision)
+            return false;
+
+        Revision = revision;
+        AwaitingSnapshot = false;
+        return true;
+    }
+}
@@ -0,0 +1,733 @@
+// Curve math shared by HDRSplitCanvas and HDRSplitCanvasRGB, free of DOM and canvas access so
+// Node scripts and workers compute the same weights LUT as the editors:
+//
+//   const CurveModel = require('./hdr-curve-model.js');          // Node
+//   importScripts('hdr-curve-model.js');                         // worker
+//   const weights = new CurveModel({ points, interpolation: 'bezier' }).calculateWeights();
+//
+// Points are { x, y, c1, c2 } sorted by x, with x in 0..lutSize - 1, y in 0..1 and the Bezier handles
+// c1 (incoming) and c2 (outgoing) as absolute positions or null.
+
+// Thrown by CurveModel.parseSVGPath. code is one of 'missing-moveto', 'expected-number', 'expected-flag',
+// 'unexpected-character' or 'unexpected-number' ('no-segments' when the editors reject a path that draws
+// nothing); index is the character offset where parsing stopped and command the path command being read.
+class CurvePathError extends Error {
+    constructor(code, message, index, command = null) {
+        super(`${message} at position ${index}`);
+        this.name = 'CurvePathError';
+        this.code = code;
+        this.index = index;
+        this.command = command;
+    }
+}
+
+class CurveModel {
+    constructor(options = {}) {
+        this.lutSize = options.lutSize || 256;
+        this.points = options.points || [];
+
+        // Curve interpolation between points, one of CurveModel.INTERPOLATIONS
+        this.interpolation = CurveModel.INTERPOLATIONS.includes(options.interpolation) ? options.interpolation : 'bezier';
+    }
+
+    get maxX() {
+        return this.lutSize - 1;
+    }
+
+    usesHandles() {
+        return this.interpolation === 'bezier';
+    }
+
+    // Curve value at input level x, clamped to 0..1. tangents may be passed when evaluating many
+    // levels of a Hermite curve, see calculateWeights.
+    getValueAtX(x, tangents = null) {
+        const points = this.points;
+        if (points.length === 0) return 0.5;
+        if (x <= points[0].x) return Math.max(0, Math.min(1, points[0].y));
+        if (x >= points[points.length - 1].x) return Math.max(0, Math.min(1, points[points.length - 1].y));
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const p1 = points[i];
+            const p2 = points[i + 1];
+
+            if (x >= p1.x && x <= p2.x) {
+                let y;
+                switch (this.interpolation) {
+                    case 'linear':
+                        y = p2.x === p1.x ? p1.y : p1.y + (p2.y - p1.y) * (x - p1.x) / (p2.x - p1.x);
+                        break;
+
+                    case 'step':
+                        y = x < p2.x ? p1.y : p2.y;
+                        break;
+
+                    case 'monotone-cubic':
+                    case 'catmull-rom':
+                        y = this.hermiteY(i, x, tangents);
+                        break;
+
+                    default: {
+                        const t = CurveModel.findTForX(p1, p2, x);
+                        y = CurveModel.bezierY(p1, p2, t);
+                    }
+                }
+                return Math.max(0, Math.min(1, y));
+            }
+        }
+
+        return 0.5;
+    }
+
+    // Fill weights (a new Float32Array of lutSize by default) with the curve value at every input level
+    calculateWeights(weights = new Float32Array(this.lutSize)) {
+        const tangents = this.usesHandles() ? null : this.tangents();
+        for (let i = 0; i < weights.length; i++) {
+            weights[i] = this.getValueAtX(i, tangents);
+        }
+        return weights;
+    }
+
+    // Point tangents of the active Hermite mode
+    tangents() {
+        return this.interpolation === 'monotone-cubic' ? this.monotoneTangents() : this.catmullRomTangents();
+    }
+
+    // Cubic Hermite value on segment i, with tangents from the active interpolation mode
+    hermiteY(i, x, tangents = null) {
+        const p1 = this.points[i];
+        const p2 = this.points[i + 1];
+        const h = p2.x - p1.x;
+        if (h === 0) return p1.y;
+
+        tangents = tangents || this.tangents();
+        const t = (x - p1.x) / h;
+        const t2 = t * t;
+        const t3 = t2 * t;
+
+        return (2 * t3 - 3 * t2 + 1) * p1.y +
+            (t3 - 2 * t2 + t) * h * tangents[i] +
+            (-2 * t3 + 3 * t2) * p2.y +
+            (t3 - t2) * h * tangents[i + 1];
+    }
+
+    // Slope at each point from its neighbours (one-sided at the ends), for non-uniform X spacing
+    catmullRomTangents() {
+        const pts = this.points;
+        const n = pts.length;
+        const tangents = new Array(n).fill(0);
+        if (n < 2) return tangents;
+
+        for (let i = 0; i < n; i++) {
+            const prev = pts[Math.max(0, i - 1)];
+            const next = pts[Math.min(n - 1, i + 1)];
+            tangents[i] = next.x === prev.x ? 0 : (next.y - prev.y) / (next.x - prev.x);
+        }
+        return tangents;
+    }
+
+    // Fritsch-Carlson tangents: no overshoot, so monotonic data stays monotonic
+    monotoneTangents() {
+        const pts = this.points;
+        const n = pts.length;
+        const tangents = new Array(n).fill(0);
+        if (n < 2) return tangents;
+
+        const slopes = [];
+        for (let i = 0; i < n - 1; i++) {
+            const h = pts[i + 1].x - pts[i].x;
+            slopes.push(h === 0 ? 0 : (pts[i + 1].y - pts[i].y) / h);
+        }
+
+        tangents[0] = slopes[0];
+        tangents[n - 1] = slopes[n - 2];
+        for (let i = 1; i < n - 1; i++) {
+            tangents[i] = slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+        }
+
+        for (let i = 0; i < n - 1; i++) {
+            if (slopes[i] === 0) {
+                tangents[i] = 0;
+                tangents[i + 1] = 0;
+                continue;
+            }
+
+            const a = tangents[i] / slopes[i];
+            const b = tangents[i + 1] / slopes[i];
+            const sum = a * a + b * b;
+            if (sum > 9) {
+                const tau = 3 / Math.sqrt(sum);
+                tangents[i] = tau * a * slopes[i];
+                tangents[i + 1] = tau * b * slopes[i];
+            }
+        }
+
+        return tangents;
+    }
+
+    // Bezier parameter t of the segment p1..p2 at targetX, by bisection
+    static findTForX(p1, p2, targetX) {
+        let t = 0.5;
+        let step = 0.25;
+
+        for (let i = 0; i < 20; i++) {
+            const x = CurveModel.bezierX(p1, p2, t);
+            if (Math.abs(x - targetX) < 0.01) break;
+
+            if (x < targetX) {
+                t += step;
+            } else {
+                t -= step;
+            }
+            step *= 0.5;
+        }
+
+        return t;
+    }
+
+    static bezierX(p1, p2, t) {
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const mt = 1 - t;
+        const mt2 = mt * mt;
+        const mt3 = mt2 * mt;
+
+        const c1x = p1.c2 ? p1.c2.x : p1.x;
+        const c2x = p2.c1 ? p2.c1.x : p2.x;
+
+        return mt3 * p1.x + 3 * mt2 * t * c1x + 3 * mt * t2 * c2x + t3 * p2.x;
+    }
+
+    static bezierY(p1, p2, t) {
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const mt = 1 - t;
+        const mt2 = mt * mt;
+        const mt3 = mt2 * mt;
+
+        const c1y = p1.c2 ? p1.c2.y : p1.y;
+        const c2y = p2.c1 ? p2.c1.y : p2.y;
+
+        return mt3 * p1.y + 3 * mt2 * t * c1y + 3 * mt * t2 * c2y + t3 * p2.y;
+    }
+
+    // Whether every saved point is a number pair inside the 0..maxX by 0..1 domain
+    static validPoints(points, maxX = 255) {
+        return Array.isArray(points) && points.every(point =>
+            point !== null && typeof point === 'object' &&
+            typeof point.x === 'number' &&
+            typeof point.y === 'number' &&
+            point.x >= 0 && point.x <= maxX &&
+            point.y >= 0 && point.y <= 1
+        );
+    }
+
+    // True when every point carries its own positive integer id, as in states saved with ids
+    static validIds(points) {
+        const ids = new Set(points.map(point => point.id));
+        return ids.size === points.length && points.every(point => Number.isInteger(point.id) && point.id > 0);
+    }
+
+    // Saved editor states. A gray state (getState of HDRSplitCanvas) is
+    //   { version: '1.0', type?: 'gray', interpolation?: one of INTERPOLATIONS (default 'bezier'),
+    //     bitDepth?: 1..16, lutSize?: 2..65536 (default 2 ** bitDepth, else 256), points }
+    // and an RGB state (getState of HDRSplitCanvasRGB) is
+    //   { version: '2.0', type: 'rgb', channels: { r?: { points }, g?: { points }, b?: { points } } }
+    // with RGB x always in 8-bit levels. points are at least two { id?, x, y, c1, c2 } with x in 0..lutSize - 1,
+    // y in 0..1 and each handle null or { x, y }. Files without version are read by their shape.
+    // Returns 'gray', 'rgb' or null when the state is neither
+    static stateKind(state) {
+        if (!state || typeof state !== 'object') return null;
+        if (state.type === 'rgb' || state.channels !== undefined) return 'rgb';
+        if (state.points !== undefined) return 'gray';
+        return null;
+    }
+
+    // Check a state against the schema above. Returns a list of { path, message } the UI can show,
+    // empty when the state is valid; path is the offending field, e.g. 'channels.g.points[2].x'.
+    static validateState(state) {
+        const errors = [];
+        const fail = (path, message) => errors.push({ path, message });
+
+        const kind = CurveModel.stateKind(state);
+        if (!kind) {
+            fail('', 'State must be an object with points (gray) or channels (RGB)');
+            return errors;
+        }
+
+        const expected = CurveModel.STATE_VERSIONS[kind];
+        if (state.version !== undefined && state.version !== expected) {
+            fail('version', `Unsupported ${kind} state version ${JSON.stringify(state.version)}, expected '${expected}'`);
+        }
+
+        if (kind === 'gray') {
+            if (state.type !== undefined && state.type !== 'gray') {
+                fail('type', `Unknown state type ${JSON.stringify(state.type)}`);
+            }
+            if (state.interpolation !== undefined && !CurveModel.INTERPOLATIONS.includes(state.interpolation)) {
+                fail('interpolation', `Unknown interpolation ${JSON.stringify(state.interpolation)}`);
+            }
+            if (state.bitDepth !== undefined && !(Number.isInteger(state.bitDepth) && state.bitDepth >= 1 && state.bitDepth <= 16)) {
+                fail('bitDepth', 'bitDepth must be an integer from 1 to 16');
+            }
+            if (state.lutSize !== undefined && !(Number.isInteger(state.lutSize) && state.lutSize >= 2 && state.lutSize <= 65536)) {
+                fail('lutSize', 'lutSize must be an integer from 2 to 65536');
+            }
+            CurveModel.validateCurve(state.points, CurveModel.stateMaxX(state), 'points', fail);
+            return errors;
+        }
+
+        if (!state.channels || typeof state.channels !== 'object' || Array.isArray(state.channels)) {
+            fail('channels', 'channels must be an object with r, g and/or b');
+            return errors;
+        }
+        const keys = Object.keys(state.channels);
+        if (keys.length === 0) {
+            fail('channels', 'State has no channels');
+        }
+        for (const key of keys) {
+            const channel = state.channels[key];
+            if (!CurveModel.CHANNELS.includes(key)) {
+                fail(`channels.${key}`, `Unknown channel '${key}'`);
+            } else if (!channel || typeof channel !== 'object') {
+                fail(`channels.${key}`, 'Channel must be an object with points');
+            } else {
+                CurveModel.validateCurve(channel.points, 255, `channels.${key}.points`, fail);
+            }
+        }
+        return errors;
+    }
+
+    // Highest x of a gray state: older files have no lutSize and were saved in 8-bit
+    static stateMaxX(state) {
+        return (state.lutSize || 2 ** (state.bitDepth || 8)) - 1;
+    }
+
+    // Report the problems of one curve's points through fail(path, message)
+    static validateCurve(points, maxX, path, fail) {
+        if (!Array.isArray(points)) {
+            fail(path, 'points must be an array');
+            return;
+        }
+        if (points.length < 2) {
+            fail(path, 'A curve needs at least two points');
+        }
+
+        const finite = value => typeof value === 'number' && Number.isFinite(value);
+        points.forEach((point, i) => {
+            const at = `${path}[${i}]`;
+            if (!point || typeof point !== 'object') {
+                fail(at, 'Point must be an object with x and y');
+                return;
+            }
+            if (!finite(point.x) || point.x < 0 || point.x > maxX) {
+                fail(`${at}.x`, `x must be a number from 0 to ${maxX}`);
+            }
+            if (!finite(point.y) || point.y < 0 || point.y > 1) {
+                fail(`${at}.y`, 'y must be a number from 0 to 1');
+            }
+            // Handles out of range are clamped when loading, so only their shape is checked
+            for (const handle of ['c1', 'c2']) {
+                const c = point[handle];
+                if (c !== undefined && c !== null && (typeof c !== 'object' || typeof c.x !== 'number' || typeof c.y !== 'number')) {
+                    fail(`${at}.${handle}`, `${handle} must be null or { x, y }`);
+                }
+            }
+        });
+    }
+
+    // Convert a valid state to kind ('gray' or 'rgb'). Gray to RGB copies the curve, in 8-bit levels, into
+    // every channel; RGB channels are always Bezier, so other interpolations only keep their points.
+    // RGB to gray takes options.channel ('r', 'g' or 'b') or, by default, the Rec. 709 luminance of
+    // the channels. Channels missing from the state are the flat default curve, as in the RGB editor.
+    static migrateState(state, kind, options = {}) {
+        const from = CurveModel.stateKind(state);
+        if (from === kind) return state;
+
+        const copy = (point, scaleX = 1) => ({
+            ...(point.id !== undefined ? { id: point.id } : {}),
+            x: point.x * scaleX,
+            y: point.y,
+            c1: point.c1 ? { x: point.c1.x * scaleX, y: point.c1.y } : null,
+            c2: point.c2 ? { x: point.c2.x * scaleX, y: point.c2.y } : null
+        });
+
+        if (kind === 'rgb') {
+            const scaleX = 255 / CurveModel.stateMaxX(state);
+            const channels = {};
+            for (const key of CurveModel.CHANNELS) {
+                channels[key] = { points: state.points.map(point => copy(point, scaleX)) };
+            }
+            return { version: CurveModel.STATE_VERSIONS.rgb, type: 'rgb', channels };
+        }
+
+        const curves = {};
+        for (const key of CurveModel.CHANNELS) {
+            const channel = state.channels[key];
+            curves[key] = channel ? channel.points.slice().sort((a, b) => a.x - b.x) : CurveModel.defaultPoints();
+        }
+
+        const gray = { version: CurveModel.STATE_VERSIONS.gray, interpolation: 'bezier', bitDepth: 8, lutSize: 256 };
+        if (options.channel && options.channel !== 'luminance') {
+            if (!curves[options.channel]) {
+                throw new RangeError(`Unknown channel '${options.channel}', expected r, g, b or luminance`);
+            }
+            return { ...gray, points: curves[options.channel].map(point => copy(point)) };
+        }
+        return { ...gray, ...CurveModel.luminanceCurve(curves) };
+    }
+
+    // The flat 0.5 curve the editors start with, in 8-bit levels
+    static defaultPoints() {
+        return [
+            { x: 0, y: 0.5, c1: null, c2: { x: 10, y: 0.5 } },
+            { x: 255, y: 0.5, c1: { x: 245, y: 0.5 }, c2: null }
+        ];
+    }
+
+    // Mix the r, g and b curves with the luminance weights. Curves with the same points and handle x
+    // mix exactly point by point. Otherwise the mix is sampled at every point and every 16 levels and
+    // drawn as a monotone cubic through the samples.
+    static luminanceCurve(curves) {
+        const [r, g, b] = CurveModel.CHANNELS.map(key => curves[key]);
+        const weights = CurveModel.LUMINANCE;
+        const sameX = (p, q) => !p === !q && (!p || p.x === q.x);
+        const shared = r.length === g.length && r.length === b.length && r.every((point, i) =>
+            [g[i], b[i]].every(other => other.x === point.x && sameX(point.c1, other.c1) && sameX(point.c2, other.c2)));
+        const mix = get => weights.r * get(r) + weights.g * get(g) + weights.b * get(b);
+
+        if (shared) {
+            return {
+                points: r.map((point, i) => ({
+                    x: point.x,
+                    y: mix(c => c[i].y),
+                    c1: point.c1 ? { x: point.c1.x, y: mix(c => c[i].c1.y) } : null,
+                    c2: point.c2 ? { x: point.c2.x, y: mix(c => c[i].c2.y) } : null
+                }))
+            };
+        }
+
+        const models = [r, g, b].map(points => new CurveModel({ points }));
+        const levels = new Set([r, g, b].flatMap(points => points.map(point => point.x)));
+        for (let x = 0; x < 256; x += 16) levels.add(x);
+        levels.add(255);
+
+        return {
+            interpolation: 'monotone-cubic',
+            points: Array.from(levels).sort((a, b) => a - b).map(x => ({
+                x,
+                y: Math.min(1, Math.max(0,
+                    weights.r * models[0].getValueAtX(x) + weights.g * models[1].getValueAtX(x) + weights.b * models[2].getValueAtX(x))),
+                c1: null,
+                c2: null
+            }))
+        };
+    }
+
+    // x from the editor's 0..maxX range in 8-bit levels, as C# paths and messages use them
+    static toLevels8(x, maxX = 255) {
+        return maxX === 255 ? x : x * 255 / maxX;
+    }
+
+    // The inverse of toLevels8. Both scalings round, so of the doubles next to the scaled value the one
+    // toLevels8 maps back onto level is taken; a path read with it writes back the same numbers.
+    static fromLevels8(level, maxX = 255) {
+        if (maxX === 255) return level;
+        const x = level * maxX / 255;
+        const up = CurveModel.nextDouble(x, 1);
+        const down = CurveModel.nextDouble(x, -1);
+        const candidates = [x, up, down, CurveModel.nextDouble(up, 1), CurveModel.nextDouble(down, -1)];
+        return candidates.find(c => CurveModel.toLevels8(c, maxX) === level) ?? x;
+    }
+
+    // The neighbouring double of x towards +Infinity (direction 1) or -Infinity (direction -1)
+    static nextDouble(x, direction) {
+        if (x === 0) return direction * Number.MIN_VALUE;
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, x);
+        view.setBigInt64(0, view.getBigInt64(0) + ((x > 0) === (direction > 0) ? 1n : -1n));
+        return view.getFloat64(0);
+    }
+
+    // SVG path with one cubic segment per pair of neighbouring points, the format C# stores and reload() reads.
+    // A missing handle is written as its point. x is scaled from 0..maxX to 8-bit levels; numbers are written
+    // in their shortest exact form, so parseSVGPath reads back the same values.
+    static toSVGPath(points, maxX = 255) {
+        if (!points.length) return '';
+        const xy = p => `${CurveModel.toLevels8(p.x, maxX)},${p.y}`;
+        let path = `M${xy(points[0])}`;
+        for (let i = 1; i < points.length; i++) {
+            const from = points[i - 1];
+            const to = points[i];
+            path += ` C${xy(from.c2 || from)} ${xy(to.c1 || to)} ${xy(to)}`;
+        }
+        return path;
+    }
+
+    // Parse SVG path data into cubic Bezier segments { p0, p1, p2, p3 }. The full path grammar is read:
+    // absolute and relative M L H V C S Q T A Z, exponents and implicitly repeated commands. Lines, quadratics
+    // and arcs become cubics, Z closes back to the subpath start. Throws a CurvePathError on malformed input.
+    static parseSVGPath(pathString) {
+        const text = String(pathString ?? '');
+        const segments = [];
+        const number = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+        let index = 0;
+        let command = null;
+
+        const fail = (code, message) => {
+            throw new CurvePathError(code, message, index, command);
+        };
+        const skipSeparators = () => {
+            while (index < text.length && /[\s,]/.test(text[index])) index++;
+        };
+        const atNumber = () => {
+            skipSeparators();
+            number.lastIndex = index;
+            return number.test(text);
+        };
+        const readNumber = () => {
+            if (!atNumber()) fail('expected-number', `${command} expects a number`);
+            number.lastIndex = index;
+            const value = parseFloat(number.exec(text)[0]);
+            index = number.lastIndex;
+            return value;
+        };
+        // Arc flags are single digits and may be written without separators, e.g. a5 5 0 0110 10
+        const readFlag = () => {
+            skipSeparators();
+            if (text[index] !== '0' && text[index] !== '1') fail('expected-flag', `${command} expects a 0 or 1 flag`);
+            return text[index++] === '1';
+        };
+
+        let x = 0;
+        let y = 0;
+        let startX = 0;
+        let startY = 0;
+        let cubicControl = null; // Second control point of the previous C/S, reflected by S
+        let quadControl = null; // Control point of the previous Q/T, reflected by T
+
+        const cubic = (x1, y1, x2, y2, endX, endY) => {
+            segments.push({
+                p0: { x, y },
+                p1: { x: x1, y: y1 },
+                p2: { x: x2, y: y2 },
+                p3: { x: endX, y: endY }
+            });
+            x = endX;
+            y = endY;
+        };
+        // Lines become cubics with their controls at 1/3 and 2/3
+        const line = (endX, endY) => {
+            cubic(x + (endX - x) / 3, y + (endY - y) / 3, x + (endX - x) * 2 / 3, y + (endY - y) * 2 / 3, endX, endY);
+        };
+        const quadratic = (qx, qy, endX, endY) => {
+            cubic(x + (qx - x) * 2 / 3, y + (qy - y) * 2 / 3, endX + (qx - endX) * 2 / 3, endY + (qy - endY) * 2 / 3, endX, endY);
+        };
+
+        skipSeparators();
+        if (index >= text.length) return segments;
+        if (text[index] !== 'M' && text[index] !== 'm') fail('missing-moveto', 'Path must start with M or m');
+
+        while (true) {
+            skipSeparators();
+            if (index >= text.length) break;
+
+            if (/[MmZzLlHhVvCcSsQqTtAa]/.test(text[index])) {
+                command = text[index++];
+            } else if (!atNumber()) {
+                fail('unexpected-character', `Unexpected character '${text[index]}'`);
+            } else if (command === 'Z' || command === 'z') {
+                fail('unexpected-number', 'Z takes no coordinates');
+            } else if (command === 'M') {
+                command = 'L'; // Coordinates repeated after a move are lines
+            } else if (command === 'm') {
+                command = 'l';
+            }
+
+            const relative = command === command.toLowerCase();
+            const dx = relative ? x : 0;
+            const dy = relative ? y : 0;
+            let nextCubicControl = null;
+            let nextQuadControl = null;
+
+            switch (command.toUpperCase()) {
+                case 'M':
+                    x = readNumber() + dx;
+                    y = readNumber() + dy;
+                    startX = x;
+                    startY = y;
+                    break;
+
+                case 'L': {
+                    const endX = readNumber() + dx;
+                    line(endX, readNumber() + dy);
+                    break;
+                }
+
+                case 'H':
+                    line(readNumber() + dx, y);
+                    break;
+
+                case 'V':
+                    line(x, readNumber() + dy);
+                    break;
+
+                case 'C': {
+                    const x1 = readNumber() + dx;
+                    const y1 = readNumber() + dy;
+                    const x2 = readNumber() + dx;
+                    const y2 = readNumber() + dy;
+                    const endX = readNumber() + dx;
+                    cubic(x1, y1, x2, y2, endX, readNumber() + dy);
+                    nextCubicControl = { x: x2, y: y2 };
+                    break;
+                }
+
+                case 'S': {
+                    // The first control mirrors the previous curve's second one, or is the current point
+                    const x1 = cubicControl ? 2 * x - cubicControl.x : x;
+                    const y1 = cubicControl ? 2 * y - cubicControl.y : y;
+                    const x2 = readNumber() + dx;
+                    const y2 = readNumber() + dy;
+                    const endX = readNumber() + dx;
+                    cubic(x1, y1, x2, y2, endX, readNumber() + dy);
+                    nextCubicControl = { x: x2, y: y2 };
+                    break;
+                }
+
+                case 'Q': {
+                    const qx = readNumber() + dx;
+                    const qy = readNumber() + dy;
+                    const endX = readNumber() + dx;
+                    quadratic(qx, qy, endX, readNumber() + dy);
+                    nextQuadControl = { x: qx, y: qy };
+                    break;
+                }
+
+                case 'T': {
+                    const qx = quadControl ? 2 * x - quadControl.x : x;
+                    const qy = quadControl ? 2 * y - quadControl.y : y;
+                    const endX = readNumber() + dx;
+                    quadratic(qx, qy, endX, readNumber() + dy);
+                    nextQuadControl = { x: qx, y: qy };
+                    break;
+                }
+
+                case 'A': {
+                    const rx = readNumber();
+                    const ry = readNumber();
+                    const rotation = readNumber();
+                    const largeArc = readFlag();
+                    const sweep = readFlag();
+                    const endX = readNumber() + dx;
+                    const endY = readNumber() + dy;
+                    for (const c of CurveModel.arcToCubics(x, y, rx, ry, rotation, largeArc, sweep, endX, endY)) {
+                        cubic(c[0], c[1], c[2], c[3], c[4], c[5]);
+                    }
+                    break;
+                }
+
+                case 'Z':
+                    if (Math.abs(x - startX) > 0.001 || Math.abs(y - startY) > 0.001) {
+                        line(startX, startY);
+                    }
+                    x = startX;
+                    y = startY;
+                    break;
+            }
+
+            cubicControl = nextCubicControl;
+            quadControl = nextQuadControl;
+        }
+
+        return segments;
+    }
+
+    // Cubic controls [x1, y1, x2, y2, x, y] approximating an SVG elliptical arc, in pieces of at most 90
+    // degrees (SVG 1.1 implementation notes F.6.5). A zero radius draws a line, equal endpoints nothing.
+    static arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+        if (x1 === x2 && y1 === y2) return [];
+
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0) {
+            return [[x1 + (x2 - x1) / 3, y1 + (y2 - y1) / 3, x1 + (x2 - x1) * 2 / 3, y1 + (y2 - y1) * 2 / 3, x2, y2]];
+        }
+
+        const phi = rotation * Math.PI / 180;
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+
+        // Endpoints in the ellipse's own frame, centred between them
+        const mx = (x1 - x2) / 2;
+        const my = (y1 - y2) / 2;
+        const px = cos * mx + sin * my;
+        const py = -sin * mx + cos * my;
+
+        // Radii too small to reach the end point are scaled up
+        const lambda = (px * px) / (rx * rx) + (py * py) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const numerator = rx * rx * ry * ry - rx * rx * py * py - ry * ry * px * px;
+        const denominator = rx * rx * py * py + ry * ry * px * px;
+        const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+        const cx = factor * rx * py / ry;
+        const cy = -factor * ry * px / rx;
+
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const theta = angle(1, 0, (px - cx) / rx, (py - cy) / ry);
+        let delta = angle((px - cx) / rx, (py - cy) / ry, (-px - cx) / rx, (-py - cy) / ry);
+        if (!sweep && delta > 0) delta -= 2 * Math.PI;
+        if (sweep && delta < 0) delta += 2 * Math.PI;
+
+        const centerX = cos * cx - sin * cy + (x1 + x2) / 2;
+        const centerY = sin * cx + cos * cy + (y1 + y2) / 2;
+        const point = a => ({
+            x: centerX + rx * Math.cos(a) * cos - ry * Math.sin(a) * sin,
+            y: centerY + rx * Math.cos(a) * sin + ry * Math.sin(a) * cos
+        });
+        const derivative = a => ({
+            x: -rx * Math.sin(a) * cos - ry * Math.cos(a) * sin,
+            y: -rx * Math.sin(a) * sin + ry * Math.cos(a) * cos
+        });
+
+        const pieces = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+        const step = delta / pieces;
+        const k = 4 / 3 * Math.tan(step / 4);
+        const cubics = [];
+
+        for (let i = 0; i < pieces; i++) {
+            const a1 = theta + i * step;
+            const a2 = a1 + step;
+            const from = point(a1);
+            const to = i === pieces - 1 ? { x: x2, y: y2 } : point(a2);
+            const d1 = derivative(a1);
+            const d2 = derivative(a2);
+            cubics.push([from.x + k * d1.x, from.y + k * d1.y, to.x - k * d2.x, to.y - k * d2.y, to.x, to.y]);
+        }
+
+        return cubics;
+    }
+}
+
+// Supported interpolation modes; handles are only used by 'bezier'
+CurveModel.INTERPOLATIONS = ['bezier', 'monotone-cubic', 'catmull-rom', 'linear', 'step'];
+
+// Schema version getState writes for each kind of state
+CurveModel.STATE_VERSIONS = { gray: '1.0', rgb: '2.0' };
+
+CurveModel.CHANNELS = ['r', 'g', 'b'];
+
+// Rec. 709 luminance weights used to turn an RGB curve into a gray one
+CurveModel.LUMINANCE = { r: 0.2126, g: 0.7152, b: 0.0722 };
+
+CurveModel.PathError = CurvePathError;
+
+// A CommonJS module in Node, a global in pages and workers
+if (typeof module === 'object' && module.exports) {
+    module.exports = CurveModel;
+} else {
+    globalThis.CurveModel = CurveModel;
+}
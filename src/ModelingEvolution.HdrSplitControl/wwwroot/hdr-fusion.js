@@ -0,0 +1,79 @@
+// Blends a short and a long exposure of the same scene with the HDR split weights.
+// The weight is the share of the short exposure: out = short * w + long * (1 - w).
+// w is looked up from the long exposure, where blown-out highlights show up first:
+// weights[luma] for a gray Float32Array LUT, or each channel's own LUT for { r, g, b } weights.
+// Kept free of DOM access so the preview worker can run it.
+function hdrFusePixels(shortData, longData, weights) {
+    const out = new Uint8ClampedArray(shortData.length);
+    const gray = weights instanceof Float32Array;
+    const lookup = (lut, value) => lut[Math.round(value * (lut.length - 1) / 255)];
+
+    for (let i = 0; i < shortData.length; i += 4) {
+        let wr, wg, wb;
+        if (gray) {
+            wr = wg = wb = lookup(weights, 0.299 * longData[i] + 0.587 * longData[i + 1] + 0.114 * longData[i + 2]);
+        } else {
+            wr = lookup(weights.r, longData[i]);
+            wg = lookup(weights.g, longData[i + 1]);
+            wb = lookup(weights.b, longData[i + 2]);
+        }
+        out[i] = shortData[i] * wr + longData[i] * (1 - wr);
+        out[i + 1] = shortData[i + 1] * wg + longData[i + 1] * (1 - wg);
+        out[i + 2] = shortData[i + 2] * wb + longData[i + 2] * (1 - wb);
+        out[i + 3] = shortData[i + 3];
+    }
+
+    return out;
+}
+
+// Fuses exposures with the weights of an HDRSplitCanvas or HDRSplitCanvasRGB and, when given a canvas,
+// keeps an HDRPreview of the fused result in sync with the curve
+class HDRFusion {
+    constructor(editor, previewCanvas = null, options = {}) {
+        this.editor = editor;
+        this.preview = null;
+
+        if (previewCanvas) {
+            this.preview = new HDRPreview(previewCanvas, options);
+            editor.attachPreview(this.preview);
+        }
+    }
+
+    // Fuse two ImageData frames with the editor's current weights and show them in the preview
+    fuse(shortFrame, longFrame) {
+        const result = HDRFusion.fuse(shortFrame, longFrame, this.editor.getWeights());
+        if (result && this.preview) {
+            this.preview.setExposures(shortFrame, longFrame);
+        }
+        return result;
+    }
+
+    detach() {
+        if (!this.preview) return;
+
+        if (this.editor.preview === this.preview) {
+            this.editor.attachPreview(null);
+        }
+        this.preview.dispose();
+        this.preview = null;
+    }
+
+    // Fuse with explicit weights, e.g. a LUT exported from C#
+    static fuse(shortFrame, longFrame, weights) {
+        if (!(shortFrame instanceof ImageData) || !(longFrame instanceof ImageData)) {
+            console.error('Exposures must be ImageData');
+            return null;
+        }
+        if (shortFrame.width !== longFrame.width || shortFrame.height !== longFrame.height) {
+            console.error('Exposures must have the same size');
+            return null;
+        }
+
+        const out = hdrFusePixels(shortFrame.data, longFrame.data, weights);
+        return new ImageData(out, shortFrame.width, shortFrame.height);
+    }
+}
+
+// Make the class available globally
+window.HDRFusion = HDRFusion;
+window.hdrFusePixels = hdrFusePixels;
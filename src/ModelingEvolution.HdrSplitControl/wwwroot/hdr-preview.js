@@ -0,0 +1,301 @@
+// Applies curve weights to pixels. Kept free of DOM access so it can also run inside the preview worker.
+// weights is a Float32Array LUT (gray) or { r, g, b } LUTs (RGB); any LUT size maps onto 8-bit input.
+// With a single frame every channel becomes in * weights[in]; two exposures are blended by hdrFusePixels
+// from hdr-fusion.js.
+function hdrPreviewProcess(job) {
+    const { source, long, weights } = job;
+    if (long) return hdrFusePixels(source, long, weights);
+
+    const out = new Uint8ClampedArray(source.length);
+    const luts = weights instanceof Float32Array ? { r: weights, g: weights, b: weights } : weights;
+    const lookup = (lut, value) => lut[Math.round(value * (lut.length - 1) / 255)];
+
+    for (let i = 0; i < source.length; i += 4) {
+        out[i] = source[i] * lookup(luts.r, source[i]);
+        out[i + 1] = source[i + 1] * lookup(luts.g, source[i + 1]);
+        out[i + 2] = source[i + 2] * lookup(luts.b, source[i + 2]);
+        out[i + 3] = source[i + 3];
+    }
+
+    return out;
+}
+
+class HDRPreview {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        this.source = null; // ImageData, or the short exposure when two frames are set
+        this.long = null; // Long exposure ImageData for HDR split
+        this.output = null;
+        this.weights = null;
+        this.sourceUrl = null; // Set when the source was loaded with setSourceUrl
+
+        // 'after' shows the processed image, 'before' the input, 'split' both around a draggable divider
+        this.view = HDRPreview.VIEWS.includes(options.view) ? options.view : 'after';
+        this.splitPosition = 0.5;
+        this.draggingSplit = false;
+
+        // Only one job runs at a time; edits made meanwhile are merged into the next one
+        this.busy = false;
+        this.pending = false;
+        this.worker = options.useWorker === false ? null : this.createWorker();
+
+        this.canvas.style.touchAction = 'none';
+        this.listeners = {
+            pointerdown: this.onPointerDown.bind(this),
+            pointermove: this.onPointerMove.bind(this),
+            pointerup: this.onPointerUp.bind(this),
+            pointercancel: this.onPointerUp.bind(this)
+        };
+        Object.entries(this.listeners).forEach(([type, handler]) => this.canvas.addEventListener(type, handler));
+    }
+
+    // Workers are built from the processing function source; without them processing runs on the main thread
+    createWorker() {
+        if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL === 'undefined') return null;
+
+        try {
+            const fusion = typeof hdrFusePixels === 'function' ? hdrFusePixels.toString() : '';
+            const script = `${fusion}
+                ${hdrPreviewProcess.toString()}
+                self.onmessage = e => {
+                    const out = hdrPreviewProcess(e.data);
+                    self.postMessage({ out }, [out.buffer]);
+                };`;
+            const url = URL.createObjectURL(new Blob([script], { type: 'text/javascript' }));
+            const worker = new Worker(url);
+            URL.revokeObjectURL(url);
+            worker.onmessage = e => this.onProcessed(e.data.out);
+            worker.onerror = e => {
+                // e.g. blocked by a Content Security Policy; fall back to the main thread
+                console.warn('Preview worker failed, processing on the main thread', e.message);
+                worker.terminate();
+                this.worker = null;
+                this.busy = false;
+                this.process();
+            };
+            return worker;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Show a single image; the curve is applied as out = in * weights[in]
+    setSource(image) {
+        const imageData = HDRPreview.toImageData(image);
+        if (!imageData) return false;
+
+        this.source = imageData;
+        this.long = null;
+        this.output = null;
+        this.resize();
+        this.process();
+        return true;
+    }
+
+    // Show an HDR split of two exposures of the same size; needs hdr-fusion.js
+    setExposures(shortFrame, longFrame) {
+        if (typeof hdrFusePixels !== 'function') {
+            console.error('hdr-fusion.js must be loaded to preview two exposures');
+            return false;
+        }
+
+        const shortData = HDRPreview.toImageData(shortFrame);
+        const longData = HDRPreview.toImageData(longFrame);
+        if (!shortData || !longData) return false;
+
+        if (shortData.width !== longData.width || shortData.height !== longData.height) {
+            console.error('Exposures must have the same size');
+            return false;
+        }
+
+        this.source = shortData;
+        this.long = longData;
+        this.output = null;
+        this.resize();
+        this.process();
+        return true;
+    }
+
+    // Called by the editors whenever their weights change
+    setWeights(weights) {
+        this.weights = weights;
+        this.process();
+    }
+
+    setView(view) {
+        if (!HDRPreview.VIEWS.includes(view)) {
+            console.error(`Unknown preview view: ${view}`);
+            return false;
+        }
+        this.view = view;
+        this.draw();
+        return true;
+    }
+
+    // Flip between the input and the processed image
+    toggleBeforeAfter() {
+        return this.setView(this.view === 'before' ? 'after' : 'before');
+    }
+
+    setSplitPosition(position) {
+        this.splitPosition = Math.max(0, Math.min(1, position));
+        this.draw();
+    }
+
+    resize() {
+        if (!this.source) return;
+
+        this.canvas.width = this.source.width;
+        this.canvas.height = this.source.height;
+        this.canvas.style.maxWidth = '100%';
+    }
+
+    process() {
+        if (!this.source || !this.weights) return;
+
+        if (this.busy) {
+            this.pending = true;
+            return;
+        }
+
+        // Copies keep the source intact when buffers are transferred to the worker
+        const job = {
+            source: this.source.data.slice(),
+            long: this.long ? this.long.data.slice() : null,
+            weights: this.weights instanceof Float32Array
+                ? this.weights.slice()
+                : { r: this.weights.r.slice(), g: this.weights.g.slice(), b: this.weights.b.slice() }
+        };
+
+        if (this.worker) {
+            this.busy = true;
+            this.worker.postMessage(job, [job.source.buffer].concat(job.long ? [job.long.buffer] : []));
+        } else {
+            this.onProcessed(hdrPreviewProcess(job));
+        }
+    }
+
+    onProcessed(out) {
+        this.busy = false;
+
+        // A job started before the source was replaced may not match its size
+        if (out.length === this.source.data.length) {
+            this.output = new ImageData(out, this.source.width, this.source.height);
+            this.draw();
+        } else {
+            this.pending = true;
+        }
+
+        if (this.pending) {
+            this.pending = false;
+            this.process();
+        }
+    }
+
+    draw() {
+        if (!this.source) return;
+
+        // Before shows the long exposure for HDR split, since that is the frame the weights are read from
+        const before = this.long || this.source;
+        const after = this.output || before;
+        const width = this.source.width;
+        const height = this.source.height;
+
+        if (this.view === 'before') {
+            this.ctx.putImageData(before, 0, 0);
+        } else if (this.view === 'after') {
+            this.ctx.putImageData(after, 0, 0);
+        } else {
+            const splitX = Math.round(this.splitPosition * width);
+            this.ctx.putImageData(before, 0, 0, 0, 0, splitX, height);
+            this.ctx.putImageData(after, 0, 0, splitX, 0, width - splitX, height);
+
+            this.ctx.strokeStyle = '#fff';
+            this.ctx.lineWidth = Math.max(1, width / 400);
+            this.ctx.beginPath();
+            this.ctx.moveTo(splitX, 0);
+            this.ctx.lineTo(splitX, height);
+            this.ctx.stroke();
+        }
+    }
+
+    pointerToPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return (e.clientX - rect.left) / rect.width;
+    }
+
+    onPointerDown(e) {
+        if (this.view !== 'split' || !e.isPrimary) return;
+
+        this.draggingSplit = true;
+        this.canvas.setPointerCapture(e.pointerId);
+        this.setSplitPosition(this.pointerToPosition(e));
+    }
+
+    onPointerMove(e) {
+        if (!this.draggingSplit) return;
+        this.setSplitPosition(this.pointerToPosition(e));
+    }
+
+    onPointerUp(e) {
+        if (!this.draggingSplit) return;
+
+        this.draggingSplit = false;
+        if (this.canvas.hasPointerCapture(e.pointerId)) {
+            this.canvas.releasePointerCapture(e.pointerId);
+        }
+    }
+
+    // ImageData passes through; a loaded <img> or <canvas> is rasterized
+    static toImageData(image) {
+        if (image instanceof ImageData) return image;
+
+        if (image instanceof HTMLImageElement || image instanceof HTMLCanvasElement) {
+            const width = image.naturalWidth || image.width;
+            const height = image.naturalHeight || image.height;
+            if (!width || !height) {
+                console.error('Image is not loaded yet');
+                return null;
+            }
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image, 0, 0);
+            return ctx.getImageData(0, 0, width, height);
+        }
+
+        console.error('Preview source must be ImageData, HTMLImageElement or HTMLCanvasElement');
+        return null;
+    }
+
+    // Load an image URL for the Razor components; resolves once the preview shows it
+    setSourceUrl(url) {
+        this.sourceUrl = url;
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => resolve(this.setSource(image));
+            image.onerror = () => reject(new Error(`Failed to load preview image ${url}`));
+            image.src = url;
+        });
+    }
+
+    dispose() {
+        Object.entries(this.listeners).forEach(([type, handler]) => this.canvas.removeEventListener(type, handler));
+        this.listeners = {};
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+HDRPreview.VIEWS = ['after', 'before', 'split'];
+
+// Make the class available globally
+window.HDRPreview = HDRPreview;
+window.hdrPreviewProcess = hdrPreviewProcess;
@@ -0,0 +1,221 @@
+// <hdr-split-canvas> packages the editors as a Web Component that builds its own shadow DOM, so plain
+// HTML tools and frameworks such as React can use them without copying the id-suffixed markup.
+// Load hdr-curve-model.js, then hdr-split.js for mode="gray" (the default) and hdr-split-rgb.js for mode="rgb" first.
+//
+//   <hdr-split-canvas mode="rgb" readonly state='{"version":"2.0","type":"rgb","channels":{...}}'>
+//
+// Attributes: mode ('gray' | 'rgb'), readonly, state (curve JSON, applied whenever it is set).
+// Properties: mode, readonly, state (object from getState / for setState), weights (read-only), editor.
+// Events: 'change' with { weights } after every curve change; the editor's hdr-* events
+// (hdr-pointadded, hdr-selectionchange, ...) bubble out of the shadow root as well.
+
+const HDR_ELEMENT_STYLE = `
+    :host { display: block; }
+    :host([hidden]) { display: none; }
+    .hdr-split { color: #aaa; font-family: Arial, sans-serif; }
+    canvas {
+        display: block;
+        width: 100%;
+        height: auto;
+        border: 1px solid #3a3a3a;
+        cursor: crosshair;
+        background-color: #1e1e1e;
+    }
+    .grayscale-bar { border-radius: 4px 4px 0 0; height: 40px; }
+    .output-bar { margin-bottom: 10px; border-radius: 0 0 4px 4px; height: 20px; border-top: 1px solid #3a3a3a; }
+    .info-box {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 20px;
+        background-color: #2a2a2a;
+        border: 1px solid #3a3a3a;
+        border-radius: 4px;
+        padding: 10px 15px;
+        margin: 10px 0;
+        font-size: 13px;
+        font-family: 'Courier New', monospace;
+    }
+    .info-box .label { color: #888; margin-right: 8px; }
+    .info-box strong { display: inline-block; color: #00d4ff; cursor: text; padding: 2px 4px; border-radius: 3px; text-align: right; }
+    .info-box strong.editable { background-color: #3a3a3a; outline: 1px solid #00d4ff; }
+    .info-box input.inline-edit {
+        background-color: #1e1e1e;
+        border: none;
+        outline: 1px solid #00d4ff;
+        color: #fff;
+        padding: 2px 4px;
+        border-radius: 3px;
+        width: 60px;
+        font-size: inherit;
+        font-weight: bold;
+        text-align: right;
+        font-family: 'Courier New', monospace;
+    }
+    .swatch { display: inline-block; width: 20px; height: 20px; border: 1px solid #4a4a4a; border-radius: 3px; background-color: #000; margin-right: 6px; }
+`;
+
+let hdrElementCount = 0;
+
+class HDRSplitElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['mode', 'readonly', 'state'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.editor = null;
+        this.editorId = `hdr-split-canvas-${++hdrElementCount}`;
+        this.pendingState = null; // Applied when the editor is built
+        this.onEditorChange = detail => {
+            this.dispatchEvent(new CustomEvent('change', { detail: { weights: detail.weights } }));
+        };
+    }
+
+    get mode() {
+        return this.getAttribute('mode') === 'rgb' ? 'rgb' : 'gray';
+    }
+
+    set mode(mode) {
+        this.setAttribute('mode', mode);
+    }
+
+    get readonly() {
+        return this.hasAttribute('readonly');
+    }
+
+    set readonly(readonly) {
+        this.toggleAttribute('readonly', !!readonly);
+    }
+
+    get state() {
+        return this.editor ? this.editor.getState() : this.pendingState;
+    }
+
+    set state(state) {
+        if (this.editor) {
+            this.editor.setState(state);
+        } else {
+            this.pendingState = state;
+        }
+    }
+
+    get weights() {
+        return this.editor ? this.editor.getWeights() : null;
+    }
+
+    connectedCallback() {
+        if (!this.editor) this.build();
+    }
+
+    // Moving the element in the DOM disconnects and reconnects it; the curve survives that
+    disconnectedCallback() {
+        if (!this.editor) return;
+
+        this.pendingState = this.editor.getState();
+        this.teardown();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (oldValue === value) return;
+
+        if (name === 'mode') {
+            // Switching rebuilds the editor; the curve carries over through setState's migration
+            if (this.editor) {
+                this.pendingState = this.editor.getState();
+                this.teardown();
+                this.build();
+            }
+        } else if (name === 'readonly') {
+            if (this.editor) this.editor.setReadonly(value !== null);
+        } else if (name === 'state' && value) {
+            try {
+                this.state = JSON.parse(value);
+            } catch (e) {
+                console.error('hdr-split-canvas: state attribute is not valid JSON', e);
+            }
+        }
+    }
+
+    build() {
+        const rgb = this.mode === 'rgb';
+        const EditorClass = rgb ? window.HDRSplitCanvasRGB : window.HDRSplitCanvas;
+        if (!EditorClass) {
+            console.error(`hdr-split-canvas: load ${rgb ? 'hdr-split-rgb.js' : 'hdr-split.js'} before using mode="${this.mode}"`);
+            return;
+        }
+
+        const id = this.editorId;
+        const elementIds = {
+            container: `hdr-container-${id}`,
+            canvas: `canvas-${id}`,
+            grayscaleBar: `grayscaleBar-${id}`,
+            outputBar: `outputBar-${id}`,
+            infoBox: `infoBox-${id}`,
+            valueDisplay: `valueDisplay-${id}`,
+            hexDisplay: `hexDisplay-${id}`,
+            colorBox: `colorBox-${id}`,
+            outputColorBox: `outputColorBox-${id}`,
+            weightDisplay: `weightDisplay-${id}`,
+            rWeight: `rWeight-${id}`,
+            gWeight: `gWeight-${id}`,
+            bWeight: `bWeight-${id}`
+        };
+
+        const weightFields = rgb
+            ? `<span><span class="label">Weights R:</span><strong id="${elementIds.rWeight}" style="width: 45px;">--</strong></span>
+               <span><span class="label">G:</span><strong id="${elementIds.gWeight}" style="width: 45px;">--</strong></span>
+               <span><span class="label">B:</span><strong id="${elementIds.bWeight}" style="width: 45px;">--</strong></span>`
+            : `<span><span class="label">Weight:</span><strong id="${elementIds.weightDisplay}" style="width: 60px;">--</strong></span>`;
+
+        this.shadowRoot.innerHTML = `
+            <style>${HDR_ELEMENT_STYLE}</style>
+            <div class="hdr-split" id="${elementIds.container}">
+                <canvas class="grayscale-bar" id="${elementIds.grayscaleBar}"></canvas>
+                <canvas class="output-bar" id="${elementIds.outputBar}"></canvas>
+                <div class="info-box" id="${elementIds.infoBox}">
+                    <span><span class="label">Value:</span><strong id="${elementIds.valueDisplay}" style="width: 35px;">--</strong></span>
+                    <span>
+                        <span class="label">Hex:</span>
+                        <span class="swatch" id="${elementIds.colorBox}" title="Input color"></span>
+                        <span class="swatch" id="${elementIds.outputColorBox}" title="Output color"></span>
+                        <strong id="${elementIds.hexDisplay}" style="width: 70px; text-align: left;">--</strong>
+                    </span>
+                    ${weightFields}
+                </div>
+                <canvas id="${elementIds.canvas}"></canvas>
+            </div>`;
+
+        const container = this.shadowRoot.getElementById(elementIds.container);
+        const find = key => this.shadowRoot.getElementById(elementIds[key]);
+        this.editor = new EditorClass(find('canvas'), find('grayscaleBar'), find('outputBar'), elementIds, null, {
+            container,
+            readonly: this.readonly
+        });
+
+        // Listed by HdrSplit.list() and the interop globals like any other editor
+        window.hdrEditors[rgb ? 'rgb' : 'gray'].set(id, this.editor);
+
+        this.editor.on('change', this.onEditorChange);
+
+        if (this.pendingState) {
+            this.editor.setState(this.pendingState);
+            this.pendingState = null;
+        }
+    }
+
+    teardown() {
+        this.editor.off('change', this.onEditorChange);
+        this.editor.dispose();
+        this.editor = null;
+        this.shadowRoot.innerHTML = '';
+    }
+}
+
+if (!customElements.get('hdr-split-canvas')) {
+    customElements.define('hdr-split-canvas', HDRSplitElement);
+}
+
+// Make the class available globally
+window.HDRSplitElement = HDRSplitElement;
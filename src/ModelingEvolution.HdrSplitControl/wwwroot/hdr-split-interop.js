@@ -0,0 +1,151 @@
+// ES module used by the Razor components through IJSObjectReference. Every call goes through a named
+// export, so the components work under a Content-Security-Policy without 'unsafe-eval'.
+// The editor scripts (hdr-split.js, hdr-split-rgb.js) are classic scripts and must be loaded by the page.
+// hdr-curve-model.js, which both build on, is loaded from next to this module when the page does not include it.
+// kind is 'gray' for HDRSplitCanvas or 'rgb' for HDRSplitCanvasRGB.
+
+function getEditor(kind, id) {
+    const editors = window.hdrEditors && window.hdrEditors[kind === 'rgb' ? 'rgb' : 'gray'];
+    const editor = editors && editors.get(id);
+    if (!editor) {
+        throw new Error(`HDR ${kind} editor ${id} not found`);
+    }
+    return editor;
+}
+
+// The editor scripts are classic scripts the page must include; fail with a hint instead of a TypeError
+function requireScript(name, script) {
+    if (typeof window[name] !== 'function') {
+        throw new Error(`${name} is not defined; add <script src="_content/ModelingEvolution.HdrSplitControl/${script}"> to the page`);
+    }
+    return window[name];
+}
+
+// One load shared by every editor; a second <script> would declare CurveModel twice
+let curveModelLoading = null;
+
+function loadCurveModel() {
+    if (typeof window.CurveModel === 'function') return Promise.resolve();
+    if (!curveModelLoading) {
+        curveModelLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = new URL('hdr-curve-model.js', import.meta.url).href;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                curveModelLoading = null;
+                script.remove();
+                reject(new Error('hdr-curve-model.js could not be loaded; add <script src="_content/ModelingEvolution.HdrSplitControl/hdr-curve-model.js"> to the page'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return curveModelLoading;
+}
+
+function downloadText(text, filename) {
+    const blob = new Blob([text], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Grayscale editor; resolves once the editor is created, rejects if its markup never shows up
+export async function initGray(id, dotnetRef, options) {
+    await loadCurveModel();
+    await requireScript('hdrGrayCanvasInit', 'hdr-split.js')(id, dotnetRef, options);
+}
+
+export function reloadGray(id, pathString) {
+    return window.hdrGrayCanvasReload(id, pathString);
+}
+
+export function setGrayMonotonic(id, mode) {
+    window.hdrGrayCanvasSetMonotonic(id, mode);
+}
+
+export function setGrayInterpolation(id, mode) {
+    return window.hdrGrayCanvasSetInterpolation(id, mode);
+}
+
+export function setGrayHistogram(id, bins, scale) {
+    window.hdrGrayCanvasSetHistogram(id, bins, scale);
+}
+
+export function setGrayPreview(id, url, view) {
+    return window.hdrGrayCanvasSetPreview(id, url, view);
+}
+
+export function disposeGray(id) {
+    window.hdrGrayCanvasDispose(id);
+}
+
+// RGB editor; resolves once the editor is created, rejects if its markup never shows up
+export async function initRgb(id, dotnetRef, options) {
+    await loadCurveModel();
+    await requireScript('hdrRgbCanvasInit', 'hdr-split-rgb.js')(id, dotnetRef, options);
+}
+
+export function setRgbHistogram(id, bins, scale) {
+    window.hdrRgbCanvasSetHistogram(id, bins, scale);
+}
+
+export function setRgbPreview(id, url, view) {
+    return window.hdrRgbCanvasSetPreview(id, url, view);
+}
+
+export function disposeRgb(id) {
+    window.hdrRgbCanvasDispose(id);
+}
+
+// Shared
+export function reset(kind, id) {
+    const editor = getEditor(kind, id);
+    if (typeof editor.reset !== 'function') {
+        throw new Error(`HDR ${kind} editor does not support reset`);
+    }
+    editor.reset();
+}
+
+// Ask the editor to send its whole curve as an 's' message, after C# missed a revision
+export function requestSnapshot(kind, id) {
+    getEditor(kind, id).sendSnapshot();
+}
+
+export function exportJSON(kind, id) {
+    return getEditor(kind, id).exportJSON();
+}
+
+export function importJSON(kind, id, json) {
+    return getEditor(kind, id).importJSON(json);
+}
+
+// Problems of a curve state (gray or RGB) as a list of { path, message }, empty when it can be loaded
+export async function validateState(state) {
+    await loadCurveModel();
+    return window.CurveModel.validateState(state);
+}
+
+// SVG path of the curve; channel ('r', 'g' or 'b') is required for the RGB editor
+export function toSVGPath(kind, id, channel) {
+    return getEditor(kind, id).toSVGPath(channel);
+}
+
+// Download the curve as a JSON file
+export function saveToFile(kind, id, filename) {
+    downloadText(getEditor(kind, id).exportJSON(), filename || 'hdr-curve.json');
+}
+
+// Open the file picker of the editor; the selected file is imported by the editor's fileInput-{id} handler
+export function pickFile(kind, id) {
+    getEditor(kind, id);
+    const fileInput = document.getElementById(`fileInput-${id}`);
+    if (!fileInput) {
+        throw new Error(`File input for HDR ${kind} editor ${id} not found`);
+    }
+    fileInput.click();
+}
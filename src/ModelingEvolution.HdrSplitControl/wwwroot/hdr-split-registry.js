@@ -0,0 +1,82 @@
+// One entry point for both editors on plain pages and in other frameworks.
+// HdrSplit.create builds an HDRSplitCanvas ('gray') or HDRSplitCanvasRGB ('rgb') on existing markup;
+// either editor offers getState, setState, getWeights, reset, on and off.
+// Load it after hdr-split.js and/or hdr-split-rgb.js. Editors live in window.hdrEditors by mode and id,
+// so the ones created by the Razor components, the init functions or <hdr-split-canvas> are listed as well.
+
+// Container ids follow the markup the init functions expect: hdr-container-{id} or hdr-container-rgb-{id}
+const HDR_CONTAINER_ID = /^hdr-container-(rgb-)?(.+)$/;
+
+// Numeric ids are stored as numbers, the way the Razor components register them
+function hdrNormalizeId(id) {
+    return typeof id === 'string' && /^\d+$/.test(id) ? Number(id) : id;
+}
+
+const HdrSplit = {
+    // Create an editor in element, the container (or its id) holding the id-suffixed markup
+    // (canvas-{id}, grayscaleBar-{id}, ...). options.mode is 'gray' or 'rgb' and options.id the suffix;
+    // both default to what the container id says. options.dotnetRef is passed on as the .NET bridge,
+    // everything else goes to the editor. Resolves with the editor.
+    create(element, options = {}) {
+        const container = typeof element === 'string' ? document.getElementById(element) : element;
+        if (!container) {
+            return Promise.reject(new Error(`HdrSplit: container ${element} not found`));
+        }
+
+        const match = HDR_CONTAINER_ID.exec(container.id || '');
+        const id = hdrNormalizeId(options.id ?? (match ? match[2] : undefined));
+        if (id === undefined) {
+            return Promise.reject(new Error('HdrSplit: pass options.id or use a container id like hdr-container-{id}'));
+        }
+        const mode = options.mode || (match && match[1] ? 'rgb' : 'gray');
+
+        const init = mode === 'rgb' ? window.hdrRgbCanvasInit : mode === 'gray' ? window.hdrGrayCanvasInit : null;
+        if (!init) {
+            return Promise.reject(new Error(mode === 'rgb' || mode === 'gray'
+                ? `HdrSplit: load ${mode === 'rgb' ? 'hdr-split-rgb.js' : 'hdr-split.js'} before creating a ${mode} editor`
+                : `HdrSplit: unknown mode ${mode}`));
+        }
+
+        const { mode: _mode, id: _id, dotnetRef = null, ...editorOptions } = options;
+        return init(id, dotnetRef, { ...editorOptions, container });
+    },
+
+    // The editor registered under mode ('gray' or 'rgb') and id. Gray and RGB editors are numbered
+    // separately, so without a mode the id must name only one of them.
+    get(id, mode) {
+        id = hdrNormalizeId(id);
+        const editors = window.hdrEditors || {};
+        if (mode) {
+            return (editors[mode] && editors[mode].get(id)) || null;
+        }
+
+        const matches = ['gray', 'rgb'].map(m => editors[m] && editors[m].get(id)).filter(Boolean);
+        if (matches.length > 1) {
+            throw new Error(`HdrSplit: a gray and an RGB editor both use id ${id}; pass the mode`);
+        }
+        return matches[0] || null;
+    },
+
+    // All live editors as { id, mode, editor }
+    list() {
+        const entries = [];
+        for (const mode of ['gray', 'rgb']) {
+            for (const [id, editor] of (window.hdrEditors && window.hdrEditors[mode]) || []) {
+                entries.push({ id, mode, editor });
+            }
+        }
+        return entries;
+    },
+
+    // Dispose the editor, which removes it from the registry; returns false if there was none
+    destroy(id, mode) {
+        const editor = HdrSplit.get(id, mode);
+        if (!editor) return false;
+
+        editor.dispose();
+        return true;
+    }
+};
+
+// Make the registry available globally
+window.HdrSplit = HdrSplit;
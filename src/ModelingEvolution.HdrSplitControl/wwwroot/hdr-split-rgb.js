@@ -1,12 +1,14 @@
 class HDRSplitCanvasRGB {
-    constructor(canvas, grayscaleBar, outputBar, elementIds, dotnetRef) {
+    constructor(canvas, grayscaleBar, outputBar, elementIds, dotnetRef, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.grayscaleBar = grayscaleBar;
         this.grayscaleCtx = grayscaleBar.getContext('2d');
         this.outputBar = outputBar;
         this.outputCtx = outputBar ? outputBar.getContext('2d') : null;
-        this.dotnetRef = dotnetRef;
+        this.dotnetRef = null; // Set by connectDotNet
+        this.root = options.container || null; // Element lookups stay inside it, e.g. in a shadow root
+        this.container = options.container || canvas.parentElement; // Receives the hdr-* DOM events
         this.elementIds = elementIds || {
             // Default IDs for backward compatibility
             infoBox: 'infoBox',
@@ -18,14 +20,14 @@ class HDRSplitCanvasRGB {
             gWeight: 'gWeight',
             bWeight: 'bWeight'
         };
-        this.infoBox = document.getElementById(this.elementIds.infoBox);
+        this.infoBox = this.element('infoBox');
         this.aspectRatio = 2; // width/height ratio
 
-        // Separate points and weights for each channel
+        // Separate curve model and weights for each channel
         this.channels = {
-            r: { points: [], weights: new Float32Array(256), color: '#ff4444', nextPointId: 1 },
-            g: { points: [], weights: new Float32Array(256), color: '#44ff44', nextPointId: 1 },
-            b: { points: [], weights: new Float32Array(256), color: '#4488ff', nextPointId: 1 }
+            r: HDRSplitCanvasRGB.createChannel('#ff4444'),
+            g: HDRSplitCanvasRGB.createChannel('#44ff44'),
+            b: HDRSplitCanvasRGB.createChannel('#4488ff')
         };
 
         this.draggedPoint = null;
@@ -36,16 +38,47 @@ class HDRSplitCanvasRGB {
         this.selectedChannel = null; // Track which channel's point is selected
         this.isEditing = false; // Track if currently editing a value
         this.hoveredX = null;
+        this.activePointerId = null; // Pointer that owns the current drag
+        this.longPressTimer = null;
+        this.longPressOrigin = null;
+        this.longPressDelay = 600; // ms a touch/pen must hold still to delete a point
+
+        this.readonly = !!options.readonly; // Ignore pointer, keyboard and inline edits
+        this.clampHandleY = options.clampHandleY || false; // Also keep handle Y within 0..1
+
+        // Optional image histogram drawn behind the grid: { r, g, b } bins, or { l } for a single luminance histogram
+        this.histogram = null;
+        this.histogramScale = options.histogramScale === 'log' ? 'log' : 'linear';
+
+        this.preview = null; // Optional HDRPreview redrawn whenever the weights change
+
+        // Interop batching: null sends each change at once, 0 merges changes into one message
+        // per animation frame, a positive number merges them every that many milliseconds
+        this.batchInterval = typeof options.batchInterval === 'number' ? options.batchInterval : null;
+        this.pendingOps = [];
+        this.flushScheduled = false;
+
+        // Every message to .NET carries the next revision, so C# can tell when one went missing and
+        // ask for a snapshot. replacing is set while replaced curves are announced; a snapshot covers them.
+        this.revision = 0;
+        this.replacing = false;
+
+        this.listeners = []; // DOM listeners removed again by dispose()
+        this.handlers = {}; // Subscribers added with on(), by event type
+        this.dotnetBridge = null;
+        this.announcedSelection = { id: null, channel: null };
+        this.connectDotNet(dotnetRef);
+        this.disposed = false;
 
         this.padding = 50;
 
         this.initializePoints();
         this.setupEventListeners();
         this.resize();
-        window.addEventListener('resize', this.resize.bind(this));
+        this.observeLayout();
 
         // Setup inline editing after DOM is ready
-        setTimeout(() => this.setupInlineEditing(), 0);
+        this.inlineEditingTimer = setTimeout(() => this.setupInlineEditing(), 0);
     }
 
     initializePoints() {
@@ -72,18 +105,201 @@ class HDRSplitCanvasRGB {
 
 
     setupEventListeners() {
-        this.canvas.addEventListener('mousedown', this.onMouseDown.bind(this));
-        this.canvas.addEventListener('mousemove', this.onMouseMove.bind(this));
-        this.canvas.addEventListener('mouseup', this.onMouseUp.bind(this));
-        this.canvas.addEventListener('mouseenter', this.onMouseEnter.bind(this));
-        this.canvas.addEventListener('mouseleave', this.onMouseLeave.bind(this));
-        this.canvas.addEventListener('dblclick', this.onDoubleClick.bind(this));
+        this.listen(this.canvas, 'pointerdown', this.onPointerDown.bind(this));
+        this.listen(this.canvas, 'pointermove', this.onPointerMove.bind(this));
+        this.listen(this.canvas, 'pointerup', this.onPointerUp.bind(this));
+        this.listen(this.canvas, 'pointercancel', this.onPointerUp.bind(this));
+        this.listen(this.canvas, 'pointerenter', this.onPointerEnter.bind(this));
+        this.listen(this.canvas, 'pointerleave', this.onPointerLeave.bind(this));
+        this.listen(this.canvas, 'dblclick', this.onDoubleClick.bind(this));
+
+        // Keep touch gestures (scroll, pinch-zoom) from moving the page while editing
+        this.canvas.style.touchAction = 'none';
+    }
+
+    // One of the editor's elements by its elementIds key, e.g. 'weightDisplay'
+    element(key) {
+        return HDRSplitCanvasRGB.findElement(this.elementIds[key], this.root);
+    }
+
+    // Add a DOM listener that dispose() removes again
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    // Subscribe to editor events; handlers get the event detail. Every event is also dispatched on the
+    // container as a bubbling CustomEvent named 'hdr-' + type, e.g. 'hdr-change'.
+    //   change              { weights } after every curve change
+    //   pointadded          { id, x, y }
+    //   pointremoved        { id }
+    //   pointmoved          { id, x, y }, or { id, handle: 'c1' | 'c2', dx, dy } for a handle as an offset from its point
+    //   selectionchange     { id }, id is null when nothing is selected
+    //   reset               {} when the curve is replaced; the new points follow as pointadded
+    //   error               { errors } when setState() or importJSON() reject a state or some of its channels,
+    //                       a list of { path, message }
+    // Every detail also carries the channel ('r', 'g' or 'b') except change and reset; selectionchange
+    // has channel null when nothing is selected. x is an 8-bit input level.
+    on(type, handler) {
+        (this.handlers[type] = this.handlers[type] || []).push(handler);
+        return this;
+    }
+
+    off(type, handler) {
+        if (this.handlers[type]) {
+            this.handlers[type] = this.handlers[type].filter(h => h !== handler);
+        }
+        return this;
+    }
+
+    emit(type, detail) {
+        (this.handlers[type] || []).slice().forEach(handler => {
+            try {
+                handler(detail);
+            } catch (e) {
+                console.error(`Error in ${type} handler`, e);
+            }
+        });
+
+        if (this.container && typeof CustomEvent === 'function') {
+            this.container.dispatchEvent(new CustomEvent(`hdr-${type}`, { detail, bubbles: true, composed: true }));
+        }
+    }
+
+    // Turn editing off or on; a drag in progress ends where it is
+    setReadonly(readonly) {
+        this.readonly = !!readonly;
+        if (this.readonly) {
+            this.cancelLongPress();
+            this.endDrag();
+        }
+        this.canvas.style.cursor = this.readonly ? 'default' : 'crosshair';
+    }
+
+    // Forward edits to .NET. The bridge is just another subscriber; null disconnects it.
+    connectDotNet(dotnetRef) {
+        if (this.dotnetBridge) {
+            Object.entries(this.dotnetBridge).forEach(([type, handler]) => this.off(type, handler));
+            this.dotnetBridge = null;
+        }
+
+        this.dotnetRef = dotnetRef || null;
+        if (!this.dotnetRef) return;
+
+        this.dotnetBridge = {
+            pointadded: e => this.notifyDotNet('a', e.id, e.x, e.y, e.channel),
+            pointremoved: e => this.notifyDotNet('d', e.id, e.channel),
+            pointmoved: e => e.handle
+                ? this.notifyDotNet(`${e.handle}m`, e.id, e.dx, e.dy, e.channel)
+                : this.notifyDotNet('mv', e.id, e.x, e.y, e.channel)
+        };
+        Object.entries(this.dotnetBridge).forEach(([type, handler]) => this.on(type, handler));
+    }
+
+    // Selection changes in many places and each is followed by a render, which announces it
+    announceSelection() {
+        const id = this.selectedPoint ? this.selectedPoint.id : null;
+        const channel = this.selectedPoint ? this.selectedChannel : null;
+        if (id === this.announcedSelection.id && channel === this.announcedSelection.channel) return;
+
+        this.announcedSelection = { id, channel };
+        this.emit('selectionchange', { id, channel });
+    }
+
+    // Detach the editor from the page: removes its DOM listeners, stops pending timers and queued
+    // interop, drops the .NET reference and removes the instance from the registry
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+
+        this.cancelLongPress();
+        clearTimeout(this.inlineEditingTimer);
+        if (this.activePointerId !== null && this.canvas.hasPointerCapture(this.activePointerId)) {
+            this.canvas.releasePointerCapture(this.activePointerId);
+        }
+        this.activePointerId = null;
+        this.draggedPoint = null;
+
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+
+        if (this.resizeFrame !== null) {
+            cancelAnimationFrame(this.resizeFrame);
+            this.resizeFrame = null;
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.pixelRatioQuery) {
+            this.pixelRatioQuery.query.removeEventListener('change', this.pixelRatioQuery.handler);
+            this.pixelRatioQuery = null;
+        }
+
+        if (this.preview) {
+            this.preview.dispose();
+            this.preview = null;
+        }
+
+        this.pendingOps = [];
+        this.dotnetRef = null;
+        this.dotnetBridge = null;
+        this.handlers = {};
+
+        const editors = window.hdrEditors && window.hdrEditors.rgb;
+        for (const [id, instance] of editors || []) {
+            if (instance === this) editors.delete(id);
+        }
+    }
+
+    // Re-layout when the container changes size (collapsible panels, tabs, splitters) or the window
+    // moves to a screen with another pixel ratio. Without ResizeObserver, window resize is used.
+    observeLayout() {
+        this.resizeFrame = null;
+        this.resizeObserver = null;
+        this.pixelRatioQuery = null;
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.scheduleResize());
+            this.resizeObserver.observe(this.canvas.parentElement);
+        } else {
+            this.listen(window, 'resize', () => this.scheduleResize());
+        }
+        this.watchPixelRatio();
+    }
+
+    // A resolution query only fires once when the ratio moves away from it, so it is re-armed for the new ratio
+    watchPixelRatio() {
+        if (typeof window.matchMedia !== 'function') return;
+
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        const handler = () => {
+            query.removeEventListener('change', handler);
+            this.scheduleResize();
+            this.watchPixelRatio();
+        };
+        query.addEventListener('change', handler);
+        this.pixelRatioQuery = { query, handler };
+    }
+
+    // Coalesce layout changes into one resize per animation frame
+    scheduleResize() {
+        if (this.resizeFrame !== null || this.disposed) return;
+
+        this.resizeFrame = requestAnimationFrame(() => {
+            this.resizeFrame = null;
+            this.resize();
+        });
     }
 
     resize() {
         const container = this.canvas.parentElement;
         const containerWidth = container.clientWidth;
 
+        // A hidden container (collapsed panel, inactive tab) has no width; keep the last layout
+        // until the observer reports it visible again
+        if (containerWidth === 0 && this.width) return;
+
         this.width = containerWidth;
         this.height = containerWidth / this.aspectRatio;
 
@@ -139,6 +355,13 @@ class HDRSplitCanvasRGB {
         return Math.round(Math.max(0, Math.min(255, x)));
     }
 
+    // Fingers and pens are less precise than a mouse, so they get a larger hit area
+    hitThreshold(e) {
+        if (e.pointerType === 'touch') return 24;
+        if (e.pointerType === 'pen') return 16;
+        return 10;
+    }
+
     findPointAt(screenX, screenY, threshold = 10) {
         // Check all channels and return the closest point
         for (let channel of ['r', 'g', 'b']) {
@@ -171,15 +394,21 @@ class HDRSplitCanvasRGB {
         return Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
     }
 
-    onMouseDown(e) {
-        // Don't allow any mouse actions while editing
+    onPointerDown(e) {
+        // A read-only editor only shows the curve and its values
+        if (this.readonly) return;
+
+        // Don't allow any pointer actions while editing
         if (this.isEditing) return;
 
+        // Ignore additional fingers while one pointer is already editing
+        if (!e.isPrimary || this.activePointerId !== null) return;
+
         const rect = this.canvas.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
-        const found = this.findPointAt(x, y);
+        const found = this.findPointAt(x, y, this.hitThreshold(e));
 
         if (found) {
             // If clicking on a main point, select it
@@ -194,6 +423,14 @@ class HDRSplitCanvasRGB {
             this.draggedPoint = found;
             this.draggedChannel = found.channel;
             this.canvas.style.cursor = 'grabbing';
+
+            // Keep receiving moves even when the pointer leaves the canvas
+            this.activePointerId = e.pointerId;
+            this.canvas.setPointerCapture(e.pointerId);
+
+            if (found.type === 'main' && e.pointerType !== 'mouse') {
+                this.startLongPress(x, y, found.point, found.channel);
+            }
         } else {
             const graph = this.screenToGraph(x, y);
             const snappedX = this.snapToGrid(graph.x);
@@ -212,7 +449,7 @@ class HDRSplitCanvasRGB {
                 }
             }
 
-            if (closestChannel && closestDistance < 20) { // 20px threshold
+            if (closestChannel && closestDistance < this.hitThreshold(e) * 2) { // 20px threshold for mouse
                 const points = this.channels[closestChannel].points;
                 const existingPoint = points.find(p => p.x === snappedX);
                 if (!existingPoint && snappedX > 0 && snappedX < 255 && graph.y >= 0 && graph.y <= 1) {
@@ -228,10 +465,10 @@ class HDRSplitCanvasRGB {
                     points.push(newPoint);
                     points.sort((a, b) => a.x - b.x);
 
-                    // Stream event to C# with channel
-                    if (this.dotnetRef) {
-                        this.dotnetRef.invokeMethodAsync('a', newPoint.id, newPoint.x, newPoint.y, closestChannel);
-                    }
+                    // Announce the added point with its channel
+                    this.emit('pointadded', { id: newPoint.id, x: newPoint.x, y: newPoint.y, channel: closestChannel });
+
+                    this.enforceHandleConstraints(closestChannel);
 
                     this.render();
                     this.calculateWeights();
@@ -255,11 +492,18 @@ class HDRSplitCanvasRGB {
         }
     }
 
-    onMouseMove(e) {
+    onPointerMove(e) {
+        if (this.activePointerId !== null && e.pointerId !== this.activePointerId) return;
+
         const rect = this.canvas.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
+        // Moving too far turns a long-press into a drag
+        if (this.longPressTimer && this.distance(x, y, this.longPressOrigin.x, this.longPressOrigin.y) > 8) {
+            this.cancelLongPress();
+        }
+
         // If dragging, keep showing the selected point info
         if (this.draggedPoint) {
             // Keep showing the dragged point's info
@@ -307,10 +551,8 @@ class HDRSplitCanvasRGB {
                         this.draggedPoint.point.c2.y += deltaY;
                     }
 
-                    // Stream move event to C#
-                    if (this.dotnetRef) {
-                        this.dotnetRef.invokeMethodAsync('mv', this.draggedPoint.point.id, snappedX, this.draggedPoint.point.y, this.draggedChannel);
-                    }
+                    // Announce the move
+                    this.emit('pointmoved', { id: this.draggedPoint.point.id, x: snappedX, y: this.draggedPoint.point.y, channel: this.draggedChannel });
 
                     needsUpdate = true;
                 } else {
@@ -326,10 +568,8 @@ class HDRSplitCanvasRGB {
                             this.draggedPoint.point.c2.y += deltaY;
                         }
 
-                        // Stream move event to C# (x stays the same, only y changes)
-                        if (this.dotnetRef) {
-                            this.dotnetRef.invokeMethodAsync('mv', this.draggedPoint.point.id, this.draggedPoint.point.x, this.draggedPoint.point.y, this.draggedChannel);
-                        }
+                        // Announce the move (x stays the same, only y changes)
+                        this.emit('pointmoved', { id: this.draggedPoint.point.id, x: this.draggedPoint.point.x, y: this.draggedPoint.point.y, channel: this.draggedChannel });
 
                         needsUpdate = true;
                     }
@@ -337,30 +577,30 @@ class HDRSplitCanvasRGB {
             } else if (this.draggedPoint.type === 'c1') {
                 this.draggedPoint.point.c1.x = graph.x;
                 this.draggedPoint.point.c1.y = graph.y;
+                this.clampHandle(this.draggedPoint.point, 'c1', this.draggedChannel);
 
-                // Stream control point move to C#
-                if (this.dotnetRef) {
-                    const dx = this.draggedPoint.point.c1.x - this.draggedPoint.point.x;
-                    const dy = this.draggedPoint.point.c1.y - this.draggedPoint.point.y;
-                    this.dotnetRef.invokeMethodAsync('c1m', this.draggedPoint.point.id, dx, dy, this.draggedChannel);
-                }
+                // Announce the control point move
+                const dx = this.draggedPoint.point.c1.x - this.draggedPoint.point.x;
+                const dy = this.draggedPoint.point.c1.y - this.draggedPoint.point.y;
+                this.emit('pointmoved', { id: this.draggedPoint.point.id, handle: 'c1', dx, dy, channel: this.draggedChannel });
 
                 needsUpdate = true;
             } else if (this.draggedPoint.type === 'c2') {
                 this.draggedPoint.point.c2.x = graph.x;
                 this.draggedPoint.point.c2.y = graph.y;
+                this.clampHandle(this.draggedPoint.point, 'c2', this.draggedChannel);
 
-                // Stream control point move to C#
-                if (this.dotnetRef) {
-                    const dx = this.draggedPoint.point.c2.x - this.draggedPoint.point.x;
-                    const dy = this.draggedPoint.point.c2.y - this.draggedPoint.point.y;
-                    this.dotnetRef.invokeMethodAsync('c2m', this.draggedPoint.point.id, dx, dy, this.draggedChannel);
-                }
+                // Announce the control point move
+                const dx = this.draggedPoint.point.c2.x - this.draggedPoint.point.x;
+                const dy = this.draggedPoint.point.c2.y - this.draggedPoint.point.y;
+                this.emit('pointmoved', { id: this.draggedPoint.point.id, handle: 'c2', dx, dy, channel: this.draggedChannel });
 
                 needsUpdate = true;
             }
 
             if (needsUpdate) {
+                this.enforceHandleConstraints(this.draggedChannel);
+
                 // Update hoveredX if the point's x position changed
                 if (this.draggedPoint.type === 'main') {
                     this.hoveredX = this.draggedPoint.point.x;
@@ -372,12 +612,12 @@ class HDRSplitCanvasRGB {
                 this.renderOutputBar();
             }
         } else {
-            const found = this.findPointAt(x, y);
+            const found = this.findPointAt(x, y, this.hitThreshold(e));
             if (found !== this.hoveredPoint ||
                 (found && this.hoveredPoint && (found.type !== this.hoveredPoint.type || found.channel !== this.hoveredChannel))) {
                 this.hoveredPoint = found;
                 this.hoveredChannel = found ? found.channel : null;
-                this.canvas.style.cursor = found ? 'grab' : 'crosshair';
+                this.canvas.style.cursor = this.readonly ? 'default' : found ? 'grab' : 'crosshair';
                 this.render();
             }
 
@@ -387,19 +627,56 @@ class HDRSplitCanvasRGB {
         }
     }
 
-    onMouseUp() {
+    onPointerUp(e) {
+        if (this.activePointerId !== null && e.pointerId !== this.activePointerId) return;
+
+        this.cancelLongPress();
+        this.endDrag();
+    }
+
+    endDrag() {
+        if (this.activePointerId !== null) {
+            if (this.canvas.hasPointerCapture(this.activePointerId)) {
+                this.canvas.releasePointerCapture(this.activePointerId);
+            }
+            this.activePointerId = null;
+        }
+
         this.draggedPoint = null;
         this.canvas.style.cursor = this.hoveredPoint ? 'grab' : 'crosshair';
     }
 
-    onMouseEnter() {
+    // Touch and pen have no double-click, so holding a point still deletes it
+    startLongPress(x, y, point, channel) {
+        this.cancelLongPress();
+        this.longPressOrigin = { x, y };
+        this.longPressTimer = setTimeout(() => {
+            this.longPressTimer = null;
+            this.endDrag();
+            this.removePoint(point, channel);
+            this.updateInfoBox(null);
+        }, this.longPressDelay);
+    }
+
+    cancelLongPress() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+        this.longPressOrigin = null;
+    }
+
+    onPointerEnter() {
         // When entering canvas, remove editable state
         if (this.selectedPoint) {
             this.updateInfoBox(this.selectedPoint.x, false);
         }
     }
 
-    onMouseLeave() {
+    onPointerLeave(e) {
+        // A lifted finger also "leaves"; only a mouse should open the inline editor
+        if (e.pointerType !== 'mouse') return;
+
         // When leaving canvas, show selected point info if available
         if (this.selectedPoint) {
             this.hoveredX = this.selectedPoint.x;
@@ -407,9 +684,9 @@ class HDRSplitCanvasRGB {
 
             // Trigger inline editing for the selected point's weight
             if (!this.isEditing && this.selectedChannel) {
-                const weightDisplay = this.selectedChannel === 'r' ? document.getElementById(this.elementIds.rWeight) :
-                                     this.selectedChannel === 'g' ? document.getElementById(this.elementIds.gWeight) :
-                                     document.getElementById(this.elementIds.bWeight);
+                const weightDisplay = this.selectedChannel === 'r' ? this.element('rWeight') :
+                                     this.selectedChannel === 'g' ? this.element('gWeight') :
+                                     this.element('bWeight');
                 if (weightDisplay && weightDisplay.classList.contains('editable')) {
                     weightDisplay.click(); // Trigger the inline edit
                 }
@@ -421,40 +698,193 @@ class HDRSplitCanvasRGB {
     }
 
     onDoubleClick(e) {
+        if (this.readonly) return;
+
         const rect = this.canvas.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
         const found = this.findPointAt(x, y);
         if (found && found.type === 'main') {
-            const points = this.channels[found.channel].points;
-            if (points.length > 2 && found.point.x !== 0 && found.point.x !== 255) {
-                const index = points.indexOf(found.point);
-                if (index > -1) {
-                    points.splice(index, 1);
-
-                    // Stream removal event to C#
-                    if (this.dotnetRef) {
-                        this.dotnetRef.invokeMethodAsync('d', found.point.id, found.channel);
-                    }
+            this.removePoint(found.point, found.channel);
+        }
+    }
 
-                    this.render();
-                    this.calculateWeights();
+    // Remove an inner point of a channel; the first and last points are fixed
+    removePoint(point, channel) {
+        const points = this.channels[channel].points;
+        if (points.length <= 2 || point.x === 0 || point.x === 255) return false;
+
+        const index = points.indexOf(point);
+        if (index === -1) return false;
+
+        points.splice(index, 1);
+        if (this.selectedPoint === point) {
+            this.selectedPoint = null;
+            this.selectedChannel = null;
+        }
+
+        // Announce the removal
+        this.emit('pointremoved', { id: point.id, channel });
+
+        this.enforceHandleConstraints(channel);
+
+        this.render();
+        this.calculateWeights();
+        return true;
+    }
+
+    // Repair handles of a channel that left their valid domain and announce them
+    enforceHandleConstraints(channel) {
+        this.applyHandleConstraints(channel).forEach(point => this.notifyControlVectors(point, channel));
+    }
+
+    // Clamp one handle in place. X stays between the neighbouring anchors so each segment
+    // is a function of X (findTForX relies on that); Y is clamped to 0..1 when clampHandleY is on.
+    // Non-finite coordinates are replaced by the default handle offset. Returns true if it changed.
+    clampHandle(point, type, channel) {
+        const handle = point[type];
+        if (!handle) return false;
+
+        const points = this.channels[channel].points;
+        const index = points.indexOf(point);
+        const prev = index > 0 ? points[index - 1] : null;
+        const next = index >= 0 && index < points.length - 1 ? points[index + 1] : null;
+        const minX = type === 'c1' ? (prev ? prev.x : point.x) : point.x;
+        const maxX = type === 'c1' ? point.x : (next ? next.x : point.x);
+
+        const oldX = handle.x;
+        const oldY = handle.y;
+
+        if (!Number.isFinite(handle.x)) handle.x = point.x + (type === 'c1' ? -10 : 10);
+        if (!Number.isFinite(handle.y)) handle.y = point.y;
+
+        handle.x = Math.max(minX, Math.min(maxX, handle.x));
+        if (this.clampHandleY) {
+            handle.y = Math.max(0, Math.min(1, handle.y));
+        }
+
+        return handle.x !== oldX || handle.y !== oldY;
+    }
+
+    // Clamp all handles of a channel; returns the points whose handles changed
+    applyHandleConstraints(channel) {
+        const changed = [];
+        for (const point of this.channels[channel].points) {
+            const c1Changed = this.clampHandle(point, 'c1', channel);
+            const c2Changed = this.clampHandle(point, 'c2', channel);
+            if (c1Changed || c2Changed) changed.push(point);
+        }
+        return changed;
+    }
+
+    // Send control vectors as offsets from the point position
+    notifyControlVectors(point, channel) {
+        if (point.c1) {
+            this.emit('pointmoved', { id: point.id, handle: 'c1', dx: point.c1.x - point.x, dy: point.c1.y - point.y, channel });
+        }
+        if (point.c2) {
+            this.emit('pointmoved', { id: point.id, handle: 'c2', dx: point.c2.x - point.x, dy: point.c2.y - point.y, channel });
+        }
+    }
+
+    // Forward a change to C#, at once or through the pending batch. Single messages carry their
+    // revision as the last argument, after the channel.
+    notifyDotNet(method, ...args) {
+        if (!this.dotnetRef || this.replacing) return;
+
+        if (this.batchInterval === null) {
+            this.dotnetRef.invokeMethodAsync(method, ...args, ++this.revision);
+        } else {
+            this.queueOp([method, ...args]);
+        }
+    }
+
+    // Add an op to the pending batch. A move replaces the queued move of the same kind for the same
+    // point and channel unless an add or remove was queued after it.
+    queueOp(op) {
+        const method = op[0];
+
+        if (method === 'mv' || method === 'c1m' || method === 'c2m') {
+            const id = op[1];
+            const channel = op[op.length - 1];
+            for (let i = this.pendingOps.length - 1; i >= 0; i--) {
+                const queued = this.pendingOps[i];
+                if (queued[0] === method && queued[1] === id && queued[queued.length - 1] === channel) {
+                    this.pendingOps[i] = op;
+                    this.scheduleFlush();
+                    return;
                 }
+                if (queued[0] !== 'mv' && queued[0] !== 'c1m' && queued[0] !== 'c2m') break;
             }
         }
+
+        this.pendingOps.push(op);
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.flushScheduled) return;
+        this.flushScheduled = true;
+
+        if (this.batchInterval === 0 && typeof requestAnimationFrame === 'function') {
+            requestAnimationFrame(() => this.flush());
+        } else {
+            setTimeout(() => this.flush(), this.batchInterval);
+        }
+    }
+
+    // Send the queued ops as one 'b' message with the next revision
+    flush() {
+        this.flushScheduled = false;
+        if (this.pendingOps.length === 0 || !this.dotnetRef) return;
+
+        const ops = this.pendingOps;
+        this.pendingOps = [];
+        this.dotnetRef.invokeMethodAsync('b', ++this.revision, ops);
+    }
+
+    // Every channel as C# holds it: points with ids and handles as offsets from their point
+    getSnapshot() {
+        const offset = (handle, point) => (handle ? { dx: handle.x - point.x, dy: handle.y - point.y } : null);
+        const channels = {};
+        for (const key of CurveModel.CHANNELS) {
+            channels[key] = this.channels[key].points.map(point => ({
+                id: point.id,
+                x: point.x,
+                y: point.y,
+                c1: offset(point.c1, point),
+                c2: offset(point.c2, point)
+            }));
+        }
+        return { channels };
+    }
+
+    // Send all channels to .NET as one 's' message. It replaces everything queued before it;
+    // C# also asks for one when it detects a gap in the revisions.
+    sendSnapshot() {
+        if (!this.dotnetRef) return;
+
+        this.pendingOps = [];
+        this.dotnetRef.invokeMethodAsync('s', ++this.revision, this.getSnapshot());
     }
 
     calculateWeights() {
         // Calculate weights for all channels
         Object.keys(this.channels).forEach(channel => {
-            for (let i = 0; i < 256; i++) {
-                this.channels[channel].weights[i] = this.getValueAtX(i, channel);
-            }
+            this.channels[channel].model.calculateWeights(this.channels[channel].weights);
         });
         console.log('Weights updated for all channels');
         this.renderGrayscaleBar();
         this.renderOutputBar();
+        if (this.preview) this.preview.setWeights(this.getWeights());
+        this.emit('change', { weights: this.getWeights() });
+    }
+
+    // Keep an HDRPreview in sync with these curves; pass null to detach
+    attachPreview(preview) {
+        this.preview = preview;
+        if (preview) preview.setWeights(this.getWeights());
     }
 
     renderGrayscaleBar() {
@@ -523,13 +953,13 @@ class HDRSplitCanvasRGB {
     }
 
     updateInfoBox(grayValue, showEditable = false) {
-        const valueDisplay = document.getElementById(this.elementIds.valueDisplay);
-        const hexDisplay = document.getElementById(this.elementIds.hexDisplay);
-        const colorBox = document.getElementById(this.elementIds.colorBox);
-        const outputColorBox = document.getElementById(this.elementIds.outputColorBox);
-        const rWeightDisplay = document.getElementById(this.elementIds.rWeight);
-        const gWeightDisplay = document.getElementById(this.elementIds.gWeight);
-        const bWeightDisplay = document.getElementById(this.elementIds.bWeight);
+        const valueDisplay = this.element('valueDisplay');
+        const hexDisplay = this.element('hexDisplay');
+        const colorBox = this.element('colorBox');
+        const outputColorBox = this.element('outputColorBox');
+        const rWeightDisplay = this.element('rWeight');
+        const gWeightDisplay = this.element('gWeight');
+        const bWeightDisplay = this.element('bWeight');
 
         // Check if elements exist
         if (!valueDisplay || !hexDisplay || !rWeightDisplay || !gWeightDisplay || !bWeightDisplay) {
@@ -538,12 +968,14 @@ class HDRSplitCanvasRGB {
 
         if (grayValue !== null) {
             this.hoveredX = grayValue;
-            const rWeight = this.channels.r.weights[grayValue];
-            const gWeight = this.channels.g.weights[grayValue];
-            const bWeight = this.channels.b.weights[grayValue];
-            const hex = grayValue.toString(16).padStart(2, '0').toUpperCase();
-
-            valueDisplay.textContent = grayValue.toString().padStart(3, ' ');
+            // Points loaded from a state may sit between input levels; show the nearest one
+            const level = Math.round(grayValue);
+            const rWeight = this.channels.r.weights[level];
+            const gWeight = this.channels.g.weights[level];
+            const bWeight = this.channels.b.weights[level];
+            const hex = level.toString(16).padStart(2, '0').toUpperCase();
+
+            valueDisplay.textContent = level.toString().padStart(3, ' ');
             hexDisplay.textContent = `#${hex}${hex}${hex}`;
             rWeightDisplay.textContent = rWeight.toFixed(3);
             gWeightDisplay.textContent = gWeight.toFixed(3);
@@ -551,14 +983,14 @@ class HDRSplitCanvasRGB {
 
             // Update input color box
             if (colorBox) {
-                colorBox.style.backgroundColor = `rgb(${grayValue}, ${grayValue}, ${grayValue})`;
+                colorBox.style.backgroundColor = `rgb(${level}, ${level}, ${level})`;
             }
 
             // Update output color box with weighted RGB values
             if (outputColorBox) {
-                const outputR = Math.round(grayValue * rWeight);
-                const outputG = Math.round(grayValue * gWeight);
-                const outputB = Math.round(grayValue * bWeight);
+                const outputR = Math.round(level * rWeight);
+                const outputG = Math.round(level * gWeight);
+                const outputB = Math.round(level * bWeight);
                 outputColorBox.style.backgroundColor = `rgb(${outputR}, ${outputG}, ${outputB})`;
             }
 
@@ -607,79 +1039,112 @@ class HDRSplitCanvasRGB {
     }
 
     getValueAtX(x, channel) {
-        const points = this.channels[channel].points;
-        if (points.length === 0) return 0.5;
-        if (x <= points[0].x) return Math.max(0, Math.min(1, points[0].y));
-        if (x >= points[points.length - 1].x) return Math.max(0, Math.min(1, points[points.length - 1].y));
-
-        for (let i = 0; i < points.length - 1; i++) {
-            const p1 = points[i];
-            const p2 = points[i + 1];
-
-            if (x >= p1.x && x <= p2.x) {
-                const t = this.findTForX(p1, p2, x);
-                const y = this.bezierY(p1, p2, t);
-                return Math.max(0, Math.min(1, y));
-            }
-        }
-
-        return 0.5;
+        return this.channels[channel].model.getValueAtX(x);
     }
 
-    findTForX(p1, p2, targetX) {
-        let t = 0.5;
-        let step = 0.25;
+    render() {
+        this.ctx.fillStyle = '#1e1e1e';
+        this.ctx.fillRect(0, 0, this.width, this.height);
 
-        for (let i = 0; i < 20; i++) {
-            const x = this.bezierX(p1, p2, t);
-            if (Math.abs(x - targetX) < 0.01) break;
+        this.drawHistogram();
+        this.drawGrid();
+        this.drawLegend();
+        this.drawCurve();
+        this.drawPoints();
+        this.renderGrayscaleBar();
+        this.announceSelection();
+    }
 
-            if (x < targetX) {
-                t += step;
-            } else {
-                t -= step;
-            }
-            step *= 0.5;
+    // Show the tonal distribution of an image behind the curves. Accepts { r, g, b } bins per
+    // channel or a single array drawn as luminance. Pass null to remove it.
+    setHistogram(bins) {
+        if (!bins) {
+            this.histogram = null;
+        } else if (bins.length !== undefined) {
+            this.histogram = { l: Uint32Array.from(bins) };
+        } else {
+            this.histogram = {};
+            ['r', 'g', 'b'].forEach(channel => {
+                if (bins[channel]) this.histogram[channel] = Uint32Array.from(bins[channel]);
+            });
         }
-
-        return t;
+        this.render();
     }
 
-    bezierX(p1, p2, t) {
-        const t2 = t * t;
-        const t3 = t2 * t;
-        const mt = 1 - t;
-        const mt2 = mt * mt;
-        const mt3 = mt2 * mt;
+    // Build 256-bin per-channel histograms from an ImageData or a loaded <img>
+    setHistogramFromImage(source) {
+        const imageData = this.getImageData(source);
+        if (!imageData) return null;
+
+        const bins = { r: new Uint32Array(256), g: new Uint32Array(256), b: new Uint32Array(256) };
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            bins.r[data[i]]++;
+            bins.g[data[i + 1]]++;
+            bins.b[data[i + 2]]++;
+        }
 
-        const c1x = p1.c2 ? p1.c2.x : p1.x;
-        const c2x = p2.c1 ? p2.c1.x : p2.x;
+        this.setHistogram(bins);
+        return bins;
+    }
 
-        return mt3 * p1.x + 3 * mt2 * t * c1x + 3 * mt * t2 * c2x + t3 * p2.x;
+    setHistogramScale(scale) {
+        if (scale !== 'linear' && scale !== 'log') {
+            console.error(`Unknown histogram scale: ${scale}`);
+            return false;
+        }
+        this.histogramScale = scale;
+        this.render();
+        return true;
     }
 
-    bezierY(p1, p2, t) {
-        const t2 = t * t;
-        const t3 = t2 * t;
-        const mt = 1 - t;
-        const mt2 = mt * mt;
-        const mt3 = mt2 * mt;
+    getImageData(source) {
+        if (source instanceof ImageData) return source;
 
-        const c1y = p1.c2 ? p1.c2.y : p1.y;
-        const c2y = p2.c1 ? p2.c1.y : p2.y;
+        if (source instanceof HTMLImageElement) {
+            if (!source.complete || source.naturalWidth === 0) {
+                console.error('Image is not loaded yet');
+                return null;
+            }
+            const canvas = document.createElement('canvas');
+            canvas.width = source.naturalWidth;
+            canvas.height = source.naturalHeight;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(source, 0, 0);
+            return ctx.getImageData(0, 0, canvas.width, canvas.height);
+        }
 
-        return mt3 * p1.y + 3 * mt2 * t * c1y + 3 * mt * t2 * c2y + t3 * p2.y;
+        console.error('Histogram source must be ImageData or HTMLImageElement');
+        return null;
     }
 
-    render() {
-        this.ctx.fillStyle = '#1e1e1e';
-        this.ctx.fillRect(0, 0, this.width, this.height);
+    drawHistogram() {
+        if (!this.histogram) return;
 
-        this.drawGrid();
-        this.drawLegend();
-        this.drawCurve();
-        this.drawPoints();
-        this.renderGrayscaleBar();
+        const scale = this.histogramScale === 'log' ? v => Math.log1p(v) : v => v;
+        const keys = Object.keys(this.histogram);
+
+        // All channels share one vertical scale so their heights stay comparable
+        const max = scale(keys.reduce((m, key) => this.histogram[key].reduce((cm, v) => Math.max(cm, v), m), 0));
+        if (max === 0) return;
+
+        this.ctx.globalAlpha = 0.15;
+        keys.forEach(key => {
+            const bins = this.histogram[key];
+            if (bins.length < 2) return;
+
+            this.ctx.fillStyle = key === 'l' ? '#c8c8c8' : this.channels[key].color;
+            this.ctx.beginPath();
+            this.ctx.moveTo(this.padding, this.padding + this.graphHeight);
+            for (let i = 0; i < bins.length; i++) {
+                const screen = this.graphToScreen((i / (bins.length - 1)) * 255, scale(bins[i]) / max);
+                this.ctx.lineTo(screen.x, screen.y);
+            }
+            this.ctx.lineTo(this.padding + this.graphWidth, this.padding + this.graphHeight);
+            this.ctx.closePath();
+            this.ctx.fill();
+        });
+        this.ctx.globalAlpha = 1;
     }
 
     drawGrid() {
@@ -851,6 +1316,14 @@ class HDRSplitCanvasRGB {
         };
     }
 
+    // The curve of channel 'r', 'g' or 'b' as an SVG path, in the format C# stores per channel
+    toSVGPath(channel) {
+        if (!this.channels[channel]) {
+            throw new Error(`Unknown channel: ${channel}`);
+        }
+        return CurveModel.toSVGPath(this.channels[channel].points);
+    }
+
     updateSelectedPointInfo() {
         // Update the info box to show if point is selected
         if (this.hoveredX !== null) {
@@ -860,9 +1333,9 @@ class HDRSplitCanvasRGB {
 
     setupInlineEditing() {
         const setupEditableField = (element, isHex = false) => {
-            element.addEventListener('click', (e) => {
+            this.listen(element, 'click', (e) => {
                 if (!this.selectedPoint || this.selectedPoint.x !== this.hoveredX) return;
-                if (this.isEditing) return; // Don't allow multiple edits
+                if (this.isEditing || this.readonly) return; // Don't allow multiple edits
 
                 this.isEditing = true; // Set editing flag
                 const currentValue = element.textContent;
@@ -951,9 +1424,9 @@ class HDRSplitCanvasRGB {
         };
 
         // Setup inline editing for weight displays
-        const rWeight = document.getElementById(this.elementIds.rWeight);
-        const gWeight = document.getElementById(this.elementIds.gWeight);
-        const bWeight = document.getElementById(this.elementIds.bWeight);
+        const rWeight = this.element('rWeight');
+        const gWeight = this.element('gWeight');
+        const bWeight = this.element('bWeight');
 
         if (rWeight) setupEditableField(rWeight);
         if (gWeight) setupEditableField(gWeight);
@@ -963,11 +1436,12 @@ class HDRSplitCanvasRGB {
     // Export the current curve state as JSON
     getState() {
         return {
-            version: '2.0',
+            version: CurveModel.STATE_VERSIONS.rgb,
             type: 'rgb',
             channels: {
                 r: {
                     points: this.channels.r.points.map(point => ({
+                        id: point.id,
                         x: point.x,
                         y: point.y,
                         c1: point.c1 ? { x: point.c1.x, y: point.c1.y } : null,
@@ -976,6 +1450,7 @@ class HDRSplitCanvasRGB {
                 },
                 g: {
                     points: this.channels.g.points.map(point => ({
+                        id: point.id,
                         x: point.x,
                         y: point.y,
                         c1: point.c1 ? { x: point.c1.x, y: point.c1.y } : null,
@@ -984,6 +1459,7 @@ class HDRSplitCanvasRGB {
                 },
                 b: {
                     points: this.channels.b.points.map(point => ({
+                        id: point.id,
                         x: point.x,
                         y: point.y,
                         c1: point.c1 ? { x: point.c1.x, y: point.c1.y } : null,
@@ -996,37 +1472,55 @@ class HDRSplitCanvasRGB {
 
     // Import curve state from JSON
     setState(state) {
-        if (!state || !state.channels) {
-            console.error('Invalid RGB state format');
-            return false;
+        // Problems inside one channel only skip that channel; the others are still loaded
+        const errors = CurveModel.validateState(state);
+        const channelOf = error => (/^channels\.([rgb])\./.exec(error.path) || [])[1];
+        if (errors.length) {
+            this.emit('error', { errors });
+            if (errors.some(error => !channelOf(error))) return false;
         }
+        const skipped = new Set(errors.map(channelOf));
+
+        // Gray states are copied into every channel
+        state = CurveModel.migrateState(state, 'rgb');
 
         // Load points for each channel
-        ['r', 'g', 'b'].forEach(channel => {
-            if (state.channels[channel] && state.channels[channel].points) {
+        CurveModel.CHANNELS.forEach(channel => {
+            if (state.channels[channel] && !skipped.has(channel)) {
                 const points = state.channels[channel].points;
-
-                // Validate points
-                const validPoints = points.every(point =>
-                    typeof point.x === 'number' &&
-                    typeof point.y === 'number' &&
-                    point.x >= 0 && point.x <= 255 &&
-                    point.y >= 0 && point.y <= 1
-                );
-
-                if (validPoints) {
-                    this.channels[channel].points = points.map(point => ({
-                        x: point.x,
-                        y: point.y,
-                        c1: point.c1 ? { x: point.c1.x, y: point.c1.y } : null,
-                        c2: point.c2 ? { x: point.c2.x, y: point.c2.y } : null
-                    }));
-
-                    // Sort points by x coordinate
-                    this.channels[channel].points.sort((a, b) => a.x - b.x);
+                const target = this.channels[channel];
+
+                const keepIds = CurveModel.validIds(points);
+                target.points = points.map(point => ({
+                    id: keepIds ? point.id : null,
+                    x: point.x,
+                    y: point.y,
+                    c1: point.c1 ? { x: point.c1.x, y: point.c1.y } : null,
+                    c2: point.c2 ? { x: point.c2.x, y: point.c2.y } : null
+                }));
+
+                // Sort points by x coordinate
+                target.points.sort((a, b) => a.x - b.x);
+
+                // Ids saved with the state are kept, otherwise they keep counting up like in reset()
+                if (!keepIds) {
+                    target.points.forEach(point => point.id = target.nextPointId++);
                 }
+                target.nextPointId = target.points.reduce((max, p) => Math.max(max, p.id + 1), target.nextPointId);
+
+                // Repair out-of-domain handles the same way edits are constrained
+                this.applyHandleConstraints(channel);
             }
         });
+        this.announceReplacement();
+
+        // The loaded points replace the selected one
+        this.selectedPoint = null;
+        this.selectedChannel = null;
+        this.hoveredPoint = null;
+        this.hoveredChannel = null;
+        this.draggedPoint = null;
+        this.draggedChannel = null;
 
         // Update display
         this.render();
@@ -1035,6 +1529,42 @@ class HDRSplitCanvasRGB {
         return true;
     }
 
+    // Announce the whole curve as new, as the grayscale editor does: a reset, then every point of every
+    // channel and its control vectors. .NET gets a single snapshot instead.
+    announceReplacement() {
+        this.replacing = true;
+        this.emit('reset', {});
+        for (const channel of CurveModel.CHANNELS) {
+            for (const point of this.channels[channel].points) {
+                this.emit('pointadded', { id: point.id, x: point.x, y: point.y, channel });
+            }
+        }
+        for (const channel of CurveModel.CHANNELS) {
+            this.channels[channel].points.forEach(point => this.notifyControlVectors(point, channel));
+        }
+        this.replacing = false;
+        this.sendSnapshot();
+    }
+
+    // Restore the flat default curve on every channel; ids keep counting up so moves still in flight
+    // never hit a new point
+    reset() {
+        Object.values(this.channels).forEach(channel => channel.points = []);
+        this.initializePoints();
+        this.announceReplacement();
+
+        // Clear selection
+        this.selectedPoint = null;
+        this.selectedChannel = null;
+        this.hoveredPoint = null;
+        this.hoveredChannel = null;
+        this.draggedPoint = null;
+        this.draggedChannel = null;
+
+        this.render();
+        this.calculateWeights();
+    }
+
     // Export as JSON string
     exportJSON() {
         return JSON.stringify(this.getState(), null, 2);
@@ -1042,25 +1572,87 @@ class HDRSplitCanvasRGB {
 
     // Import from JSON string
     importJSON(jsonString) {
+        let state;
         try {
-            const state = JSON.parse(jsonString);
-            return this.setState(state);
+            state = JSON.parse(jsonString);
         } catch (e) {
-            console.error('Failed to parse JSON:', e);
+            this.emit('error', { errors: [{ path: '', message: `Invalid JSON: ${e.message}` }] });
             return false;
         }
+        return this.setState(state);
     }
 }
 
 // Make the class available globally
 window.HDRSplitCanvasRGB = HDRSplitCanvasRGB;
 
-// Step 4: Initialize function with instance ID and event streaming support
-window.rgbInstances = {};
+// Live editors by mode and id, shared with hdr-split.js (see there)
+if (!window.hdrEditors) {
+    window.hdrEditors = { gray: new Map(), rgb: new Map() };
+}
+
+// A channel's curve lives in its CurveModel; channel.points reads and writes the model's points
+HDRSplitCanvasRGB.createChannel = function(color) {
+    return {
+        model: new CurveModel(),
+        get points() {
+            return this.model.points;
+        },
+        set points(points) {
+            this.model.points = points;
+        },
+        weights: new Float32Array(256),
+        color,
+        nextPointId: 1
+    };
+};
+
+// Looks an id up inside root when one is given, otherwise in the document
+HDRSplitCanvasRGB.findElement = function(id, root) {
+    return root ? root.querySelector(`[id="${id}"]`) : document.getElementById(id);
+};
+
+// Resolves with the elements once every id is found, rejects with the missing ids after timeout ms.
+// Without a root the document is watched for late-rendered markup.
+HDRSplitCanvasRGB.waitForElements = function(ids, root, timeout) {
+    const find = id => HDRSplitCanvasRGB.findElement(id, root);
+    const lookup = () => {
+        const elements = ids.map(find);
+        return elements.every(Boolean) ? elements : null;
+    };
+
+    const found = lookup();
+    if (found) return Promise.resolve(found);
+    if (root) return Promise.reject(new Error(`Elements not found in the container: ${ids.filter(id => !find(id)).join(', ')}`));
+
+    return new Promise((resolve, reject) => {
+        const observer = new MutationObserver(() => {
+            const elements = lookup();
+            if (!elements) return;
+            observer.disconnect();
+            clearTimeout(timer);
+            resolve(elements);
+        });
+        const timer = setTimeout(() => {
+            observer.disconnect();
+            reject(new Error(`Elements not found after ${timeout} ms: ${ids.filter(id => !find(id)).join(', ')}`));
+        }, timeout);
+        observer.observe(document.documentElement, { childList: true, subtree: true });
+    });
+};
+
+// Default time hdrRgbCanvasInit waits for the markup, in ms; override with options.initTimeout
+HDRSplitCanvasRGB.INIT_TIMEOUT = 5000;
+
+// Returns a Promise that resolves with the editor once its elements exist and rejects if they do not
+// show up within options.initTimeout. options.container may be the container element itself
+// (e.g. a Blazor ElementReference), which skips the wait.
+window.hdrRgbCanvasInit = function(id, dotnetRef, options) {
+    options = options || {};
 
-window.hdrRgbCanvasInit = function(id, dotnetRef) {
     // Element IDs for this instance
     const elementIds = {
+        container: `hdr-container-rgb-${id}`,
         canvas: `canvas-${id}`,
         grayscaleBar: `grayscaleBar-${id}`,
         outputBar: `outputBar-${id}`,
@@ -1077,24 +1669,44 @@ window.hdrRgbCanvasInit = function(id, dotnetRef) {
         fileInput: `fileInput-${id}`
     };
 
-    const canvas = document.getElementById(elementIds.canvas);
-    const grayscaleBar = document.getElementById(elementIds.grayscaleBar);
-    const outputBar = document.getElementById(elementIds.outputBar);
+    const required = [elementIds.canvas, elementIds.grayscaleBar, elementIds.outputBar];
+    const root = options.container || null;
 
-    if (!canvas || !grayscaleBar || !outputBar) {
-        console.error('Required RGB canvas elements not found for instance:', id);
-        return null;
-    }
+    // Markup that is already rendered is initialized synchronously
+    const create = () => {
+        try {
+            return Promise.resolve(createRgbCanvas(id, elementIds, root, dotnetRef, options));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    };
+    if (required.every(elementId => HDRSplitCanvasRGB.findElement(elementId, root))) return create();
+
+    const timeout = options.initTimeout ?? HDRSplitCanvasRGB.INIT_TIMEOUT;
+    return HDRSplitCanvasRGB.waitForElements(required, root, timeout).then(create, error => {
+        throw new Error(`HDRSplitCanvasRGB: instance ${id} could not be initialized. ${error.message}`);
+    });
+};
+
+function createRgbCanvas(id, elementIds, root, dotnetRef, options) {
+    const find = elementId => HDRSplitCanvasRGB.findElement(elementId, root);
+    const canvas = find(elementIds.canvas);
+    const grayscaleBar = find(elementIds.grayscaleBar);
+    const outputBar = find(elementIds.outputBar);
+
+    // Re-initializing an id replaces the previous editor instead of leaking its listeners
+    const previous = window.hdrEditors.rgb.get(id);
+    if (previous) previous.dispose();
 
     // Pass element IDs and dotnet ref to constructor
-    const instance = new HDRSplitCanvasRGB(canvas, grayscaleBar, outputBar, elementIds, dotnetRef);
-    window.rgbInstances[id] = instance;
+    const instance = new HDRSplitCanvasRGB(canvas, grayscaleBar, outputBar, elementIds, dotnetRef, options);
+    window.hdrEditors.rgb.set(id, instance);
 
     // Save button functionality
-    const saveBtn = document.getElementById(elementIds.saveBtn);
+    const saveBtn = find(elementIds.saveBtn);
     if (saveBtn) {
-        saveBtn.addEventListener('click', () => {
-            const json = hdrSplit.exportJSON();
+        instance.listen(saveBtn, 'click', () => {
+            const json = instance.exportJSON();
             const blob = new Blob([json], { type: 'application/json' });
             const url = URL.createObjectURL(blob);
 
@@ -1114,30 +1726,37 @@ window.hdrRgbCanvasInit = function(id, dotnetRef) {
     }
 
     // Load button functionality
-    const loadBtn = document.getElementById(elementIds.loadBtn);
+    const loadBtn = find(elementIds.loadBtn);
     if (loadBtn) {
-        loadBtn.addEventListener('click', () => {
-            const fileInput = document.getElementById(elementIds.fileInput);
+        instance.listen(loadBtn, 'click', () => {
+            const fileInput = find(elementIds.fileInput);
             if (fileInput) fileInput.click();
         });
     }
 
     // File input handler
-    const fileInput = document.getElementById(elementIds.fileInput);
+    const fileInput = find(elementIds.fileInput);
     if (fileInput) {
-        fileInput.addEventListener('change', (event) => {
+        instance.listen(fileInput, 'change', (event) => {
             const file = event.target.files[0];
             if (!file) return;
 
             const reader = new FileReader();
             reader.onload = (e) => {
                 const content = e.target.result;
-                const success = hdrSplit.importJSON(content);
-
-                if (success) {
-                    console.log(`Loaded curve from ${file.name}`);
+                const errors = [];
+                const collect = detail => errors.push(...detail.errors);
+                instance.on('error', collect);
+                const success = instance.importJSON(content);
+                instance.off('error', collect);
+
+                const details = errors.map(error => `${error.path || 'file'}: ${error.message}`).join('\n');
+                if (!success) {
+                    alert(`Failed to load curve file:\n${details}`);
+                } else if (errors.length) {
+                    alert(`Loaded curve from ${file.name}, skipping channels with errors:\n${details}`);
                 } else {
-                    alert('Failed to load curve file. Please check the file format.');
+                    console.log(`Loaded curve from ${file.name}`);
                 }
 
                 // Clear the input so the same file can be loaded again
@@ -1157,4 +1776,56 @@ window.hdrRgbCanvasInit = function(id, dotnetRef) {
     console.log('All three RGB curves are displayed simultaneously');
 
     return instance;
-};
\ No newline at end of file
+}
+
+// Global dispose for C# interop, called when the component is removed
+window.hdrRgbCanvasDispose = function(id) {
+    const instance = window.hdrEditors.rgb.get(id);
+    if (!instance) return;
+
+    instance.dispose();
+};
+
+// Global histogram setter for C# interop; bins is { r, g, b } or null to clear it
+window.hdrRgbCanvasSetHistogram = function(id, bins, scale) {
+    const instance = window.hdrEditors.rgb.get(id);
+    if (!instance) {
+        console.error(`RGB instance ${id} not found`);
+        return;
+    }
+
+    if (scale) instance.histogramScale = scale === 'log' ? 'log' : 'linear';
+    instance.setHistogram(bins);
+};
+
+// Global preview control for C# interop: shows url in the preview-{id} canvas with the given view,
+// a null url detaches the preview
+window.hdrRgbCanvasSetPreview = function(id, url, view) {
+    const instance = window.hdrEditors.rgb.get(id);
+    if (!instance) {
+        console.error(`RGB instance ${id} not found`);
+        return;
+    }
+
+    if (!url) {
+        if (instance.preview) {
+            instance.preview.dispose();
+            instance.attachPreview(null);
+        }
+        return;
+    }
+
+    if (!instance.preview) {
+        const canvas = document.getElementById(`preview-${id}`);
+        if (!canvas || typeof HDRPreview === 'undefined') {
+            console.error('Preview canvas or hdr-preview.js not found for instance:', id);
+            return;
+        }
+        instance.attachPreview(new HDRPreview(canvas));
+    }
+
+    if (view) instance.preview.setView(view);
+    if (url !== instance.preview.sourceUrl) {
+        return instance.preview.setSourceUrl(url);
+    }
+};
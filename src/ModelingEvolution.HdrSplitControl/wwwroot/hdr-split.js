@@ -1,5 +1,7 @@
+// The grayscale curve editor. Needs hdr-curve-model.js, loaded before the first editor is created;
+// hdr-split-interop.js loads it for the Razor component when the page does not.
 class HDRSplitCanvas {
-    constructor(canvas, grayscaleBar, outputBar, elementIds, dotnetRef) {
+    constructor(canvas, grayscaleBar, outputBar, elementIds, dotnetRef, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.grayscaleBar = grayscaleBar;
@@ -7,28 +9,96 @@ class HDRSplitCanvas {
         this.outputBar = outputBar;
         this.outputCtx = outputBar ? outputBar.getContext('2d') : null;
         this.elementIds = elementIds;
-        this.dotnetRef = dotnetRef;
-        this.infoBox = document.getElementById(elementIds.infoBox);
+        this.dotnetRef = null; // Set by connectDotNet
+        this.root = options.container || null; // Element lookups stay inside it, e.g. in a shadow root
+        this.container = options.container || canvas.parentElement; // Receives the hdr-* DOM events
+        this.infoBox = this.element('infoBox');
         this.aspectRatio = 2; // width/height ratio
 
-        this.points = [];
         this.nextPointId = 1; // Unique ID generator for points
         this.draggedPoint = null;
         this.hoveredPoint = null;
         this.selectedPoint = null;
         this.hoveredX = null;
         this.isEditing = false;
-        this.weights = new Float32Array(256);
+
+        // Input resolution: the curve X axis spans 0..maxX and weights hold one entry per input level
+        this.bitDepth = options.bitDepth || 8;
+        this.lutSize = options.lutSize || 2 ** this.bitDepth;
+        this.maxX = this.lutSize - 1;
+        this.handleOffset = this.maxX / 25.5; // Default control handle length, 10 levels at 8-bit
+        this.weights = new Float32Array(this.lutSize);
+
+        // Points, interpolation mode and the curve math live in a DOM-free CurveModel (hdr-curve-model.js)
+        this.model = new CurveModel({ lutSize: this.lutSize, interpolation: options.interpolation });
+
+        // Optional monotonic constraint: 'increasing', 'decreasing' or null (off)
+        this.monotonic = options.monotonic || null;
+        this.readonly = !!options.readonly; // Ignore pointer, keyboard and inline edits
+        this.clampHandleY = options.clampHandleY || false; // Also keep handle Y within 0..1
+
+        this.monotonicViolations = new Set(); // Points that break the monotonic order
+
+        // Optional image histogram drawn behind the grid, 'linear' or 'log' scaled
+        this.histogram = null;
+        this.histogramScale = options.histogramScale === 'log' ? 'log' : 'linear';
+
+        this.preview = null; // Optional HDRPreview redrawn whenever the weights change
+
+        // Interop batching: null sends each change at once, 0 merges changes into one message
+        // per animation frame, a positive number merges them every that many milliseconds
+        this.batchInterval = typeof options.batchInterval === 'number' ? options.batchInterval : null;
+        this.pendingOps = [];
+        this.flushScheduled = false;
+
+        // Every message to .NET carries the next revision, so C# can tell when one went missing and
+        // ask for a snapshot. replacing is set while a replaced curve is announced; a snapshot covers it.
+        this.revision = 0;
+        this.replacing = false;
+
+        // Command-based edit history for undo/redo
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = 100;
+        this.dragSnapshot = null; // Every point as it was when a drag started
+        this.activePointerId = null; // Pointer that owns the current drag
+        this.longPressTimer = null;
+        this.longPressOrigin = null;
+        this.longPressDelay = 600; // ms a touch/pen must hold still to delete a point
+
+        this.listeners = []; // DOM listeners removed again by dispose()
+        this.handlers = {}; // Subscribers added with on(), by event type
+        this.dotnetBridge = null;
+        this.announcedSelection = null;
+        this.connectDotNet(dotnetRef);
+        this.disposed = false;
 
         this.padding = 50;
 
         this.initializePoints();
         this.setupEventListeners();
         this.resize();
-        window.addEventListener('resize', this.resize.bind(this));
+        this.observeLayout();
 
         // Setup inline editing after DOM is ready
-        setTimeout(() => this.setupInlineEditing(), 0);
+        this.inlineEditingTimer = setTimeout(() => this.setupInlineEditing(), 0);
+    }
+
+    get points() {
+        return this.model.points;
+    }
+
+    set points(points) {
+        this.model.points = points;
+    }
+
+    // Curve interpolation between points, one of HDRSplitCanvas.INTERPOLATIONS
+    get interpolation() {
+        return this.model.interpolation;
+    }
+
+    set interpolation(mode) {
+        this.model.interpolation = mode;
     }
 
     initializePoints() {
@@ -37,31 +107,218 @@ class HDRSplitCanvas {
             x: 0,
             y: 0.5,
             c1: null,
-            c2: { x: 10, y: 0.5 }
+            c2: { x: this.handleOffset, y: 0.5 }
         });
 
         this.points.push({
             id: this.nextPointId++,
-            x: 255,
+            x: this.maxX,
             y: 0.5,
-            c1: { x: 245, y: 0.5 },
+            c1: { x: this.maxX - this.handleOffset, y: 0.5 },
             c2: null
         });
     }
 
     setupEventListeners() {
-        this.canvas.addEventListener('mousedown', this.onMouseDown.bind(this));
-        this.canvas.addEventListener('mousemove', this.onMouseMove.bind(this));
-        this.canvas.addEventListener('mouseup', this.onMouseUp.bind(this));
-        this.canvas.addEventListener('mouseenter', this.onMouseEnter.bind(this));
-        this.canvas.addEventListener('mouseleave', this.onMouseLeave.bind(this));
-        this.canvas.addEventListener('dblclick', this.onDoubleClick.bind(this));
+        this.listen(this.canvas, 'pointerdown', this.onPointerDown.bind(this));
+        this.listen(this.canvas, 'pointermove', this.onPointerMove.bind(this));
+        this.listen(this.canvas, 'pointerup', this.onPointerUp.bind(this));
+        this.listen(this.canvas, 'pointercancel', this.onPointerUp.bind(this));
+        this.listen(this.canvas, 'pointerenter', this.onPointerEnter.bind(this));
+        this.listen(this.canvas, 'pointerleave', this.onPointerLeave.bind(this));
+        this.listen(this.canvas, 'dblclick', this.onDoubleClick.bind(this));
+
+        // Keep touch gestures (scroll, pinch-zoom) from moving the page while editing
+        this.canvas.style.touchAction = 'none';
+
+        // Make the canvas focusable so it receives keyboard shortcuts
+        this.canvas.tabIndex = 0;
+        this.listen(this.canvas, 'keydown', this.onKeyDown.bind(this));
+    }
+
+    // One of the editor's elements by its elementIds key, e.g. 'weightDisplay'
+    element(key) {
+        return HDRSplitCanvas.findElement(this.elementIds[key], this.root);
+    }
+
+    // Add a DOM listener that dispose() removes again
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    // Subscribe to editor events; handlers get the event detail. Every event is also dispatched on the
+    // container as a bubbling CustomEvent named 'hdr-' + type, e.g. 'hdr-change'.
+    //   change              { weights } after every curve change
+    //   pointadded          { id, x, y }
+    //   pointremoved        { id }
+    //   pointmoved          { id, x, y }, or { id, handle: 'c1' | 'c2', dx, dy } for a handle as an offset from its point
+    //   selectionchange     { id }, id is null when nothing is selected
+    //   reset               {} when the curve is replaced; the new points follow as pointadded
+    //   interpolationchange { mode }
+    //   error               { error } when reload() is given a malformed path, a CurveModel.PathError, or
+    //                       { errors } when setState() or importJSON() reject a state, a list of { path, message }
+    // x is in this editor's LUT range (0..lutSize - 1).
+    on(type, handler) {
+        (this.handlers[type] = this.handlers[type] || []).push(handler);
+        return this;
+    }
+
+    off(type, handler) {
+        if (this.handlers[type]) {
+            this.handlers[type] = this.handlers[type].filter(h => h !== handler);
+        }
+        return this;
+    }
+
+    emit(type, detail) {
+        (this.handlers[type] || []).slice().forEach(handler => {
+            try {
+                handler(detail);
+            } catch (e) {
+                console.error(`Error in ${type} handler`, e);
+            }
+        });
+
+        if (this.container && typeof CustomEvent === 'function') {
+            this.container.dispatchEvent(new CustomEvent(`hdr-${type}`, { detail, bubbles: true, composed: true }));
+        }
+    }
+
+    // Turn editing off or on; a drag in progress ends where it is
+    setReadonly(readonly) {
+        this.readonly = !!readonly;
+        if (this.readonly) {
+            this.cancelLongPress();
+            this.endDrag();
+        }
+        this.canvas.style.cursor = this.readonly ? 'default' : 'crosshair';
+    }
+
+    // Forward edits to .NET. The bridge is just another subscriber; null disconnects it.
+    connectDotNet(dotnetRef) {
+        if (this.dotnetBridge) {
+            Object.entries(this.dotnetBridge).forEach(([type, handler]) => this.off(type, handler));
+            this.dotnetBridge = null;
+        }
+
+        this.dotnetRef = dotnetRef || null;
+        if (!this.dotnetRef) return;
+
+        this.dotnetBridge = {
+            pointadded: e => this.notifyDotNet('a', e.id, e.x, e.y),
+            pointremoved: e => this.notifyDotNet('d', e.id),
+            pointmoved: e => e.handle
+                ? this.notifyDotNet(`${e.handle}m`, e.id, e.dx, e.dy)
+                : this.notifyDotNet('mv', e.id, e.x, e.y),
+            interpolationchange: e => this.notifyDotNet('im', e.mode)
+        };
+        Object.entries(this.dotnetBridge).forEach(([type, handler]) => this.on(type, handler));
+    }
+
+    // Selection changes in many places and each is followed by a render, which announces it
+    announceSelection() {
+        const id = this.selectedPoint ? this.selectedPoint.id : null;
+        if (id === this.announcedSelection) return;
+
+        this.announcedSelection = id;
+        this.emit('selectionchange', { id });
+    }
+
+    // Detach the editor from the page: removes its DOM listeners, stops pending timers and queued
+    // interop, drops the .NET reference and removes the instance from the registry
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+
+        this.cancelLongPress();
+        clearTimeout(this.inlineEditingTimer);
+        if (this.activePointerId !== null && this.canvas.hasPointerCapture(this.activePointerId)) {
+            this.canvas.releasePointerCapture(this.activePointerId);
+        }
+        this.activePointerId = null;
+        this.draggedPoint = null;
+
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+
+        if (this.resizeFrame !== null) {
+            cancelAnimationFrame(this.resizeFrame);
+            this.resizeFrame = null;
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.pixelRatioQuery) {
+            this.pixelRatioQuery.query.removeEventListener('change', this.pixelRatioQuery.handler);
+            this.pixelRatioQuery = null;
+        }
+
+        if (this.preview) {
+            this.preview.dispose();
+            this.preview = null;
+        }
+
+        this.pendingOps = [];
+        this.dotnetRef = null;
+        this.dotnetBridge = null;
+        this.handlers = {};
+
+        const editors = window.hdrEditors && window.hdrEditors.gray;
+        for (const [id, instance] of editors || []) {
+            if (instance === this) editors.delete(id);
+        }
+    }
+
+    // Re-layout when the container changes size (collapsible panels, tabs, splitters) or the window
+    // moves to a screen with another pixel ratio. Without ResizeObserver, window resize is used.
+    observeLayout() {
+        this.resizeFrame = null;
+        this.resizeObserver = null;
+        this.pixelRatioQuery = null;
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.scheduleResize());
+            this.resizeObserver.observe(this.canvas.parentElement);
+        } else {
+            this.listen(window, 'resize', () => this.scheduleResize());
+        }
+        this.watchPixelRatio();
+    }
+
+    // A resolution query only fires once when the ratio moves away from it, so it is re-armed for the new ratio
+    watchPixelRatio() {
+        if (typeof window.matchMedia !== 'function') return;
+
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        const handler = () => {
+            query.removeEventListener('change', handler);
+            this.scheduleResize();
+            this.watchPixelRatio();
+        };
+        query.addEventListener('change', handler);
+        this.pixelRatioQuery = { query, handler };
+    }
+
+    // Coalesce layout changes into one resize per animation frame
+    scheduleResize() {
+        if (this.resizeFrame !== null || this.disposed) return;
+
+        this.resizeFrame = requestAnimationFrame(() => {
+            this.resizeFrame = null;
+            this.resize();
+        });
     }
 
     resize() {
         const container = this.canvas.parentElement;
         const containerWidth = container.clientWidth;
 
+        // A hidden container (collapsed panel, inactive tab) has no width; keep the last layout
+        // until the observer reports it visible again
+        if (containerWidth === 0 && this.width) return;
+
         this.width = containerWidth;
         this.height = containerWidth / this.aspectRatio;
 
@@ -103,19 +360,26 @@ class HDRSplitCanvas {
     }
 
     screenToGraph(screenX, screenY) {
-        const x = ((screenX - this.padding) / this.graphWidth) * 255;
+        const x = ((screenX - this.padding) / this.graphWidth) * this.maxX;
         const y = 1 - ((screenY - this.padding) / this.graphHeight);
         return { x, y };
     }
 
     graphToScreen(graphX, graphY) {
-        const x = this.padding + (graphX / 255) * this.graphWidth;
+        const x = this.padding + (graphX / this.maxX) * this.graphWidth;
         const y = this.padding + (1 - graphY) * this.graphHeight;
         return { x, y };
     }
 
     snapToGrid(x) {
-        return Math.round(Math.max(0, Math.min(255, x)));
+        return Math.round(Math.max(0, Math.min(this.maxX, x)));
+    }
+
+    // Fingers and pens are less precise than a mouse, so they get a larger hit area
+    hitThreshold(e) {
+        if (e.pointerType === 'touch') return 24;
+        if (e.pointerType === 'pen') return 16;
+        return 10;
     }
 
     findPointAt(screenX, screenY, threshold = 10) {
@@ -125,6 +389,9 @@ class HDRSplitCanvas {
                 return { point, type: 'main' };
             }
 
+            // Handles only exist for Bezier interpolation
+            if (!this.usesHandles()) continue;
+
             if (point.c1) {
                 const c1Screen = this.graphToScreen(point.c1.x, point.c1.y);
                 if (this.distance(screenX, screenY, c1Screen.x, c1Screen.y) < threshold) {
@@ -146,32 +413,47 @@ class HDRSplitCanvas {
         return Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
     }
 
-    onMouseDown(e) {
+    onPointerDown(e) {
+        // A read-only editor only shows the curve and its values
+        if (this.readonly) return;
+
         // Don't allow selection during editing
         if (this.isEditing) return;
 
+        // Ignore additional fingers while one pointer is already editing
+        if (!e.isPrimary || this.activePointerId !== null) return;
+
         const rect = this.canvas.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
-        const found = this.findPointAt(x, y);
+        const found = this.findPointAt(x, y, this.hitThreshold(e));
 
         if (found) {
             this.draggedPoint = found;
+            this.dragSnapshot = this.snapshotPoints();
             this.selectedPoint = found.type === 'main' ? found.point : null;
             this.canvas.style.cursor = 'grabbing';
+
+            // Keep receiving moves even when the pointer leaves the canvas
+            this.activePointerId = e.pointerId;
+            this.canvas.setPointerCapture(e.pointerId);
+
+            if (found.type === 'main' && e.pointerType !== 'mouse') {
+                this.startLongPress(x, y, found.point);
+            }
         } else {
             const graph = this.screenToGraph(x, y);
             const snappedX = this.snapToGrid(graph.x);
 
             const existingPoint = this.points.find(p => p.x === snappedX);
-            if (!existingPoint && snappedX > 0 && snappedX < 255 && graph.y >= 0 && graph.y <= 1) {
+            if (!existingPoint && snappedX > 0 && snappedX < this.maxX && graph.y >= 0 && graph.y <= 1) {
                 const newPoint = {
                     id: this.nextPointId++,
                     x: snappedX,
                     y: graph.y,
-                    c1: { x: snappedX - 10, y: graph.y },
-                    c2: { x: snappedX + 10, y: graph.y }
+                    c1: { x: snappedX - this.handleOffset, y: graph.y },
+                    c2: { x: snappedX + this.handleOffset, y: graph.y }
                 };
 
                 this.points.push(newPoint);
@@ -180,25 +462,33 @@ class HDRSplitCanvas {
                 // Select the newly added point
                 this.selectedPoint = newPoint;
 
-                // Notify C# about point added
-                if (this.dotnetRef) {
-                    this.dotnetRef.invokeMethodAsync('a', newPoint.id, newPoint.x, newPoint.y);
-                }
+                this.pushHistory({ type: 'add', point: this.clonePoint(newPoint) });
+
+                // Announce the added point
+                this.emit('pointadded', { id: newPoint.id, x: newPoint.x, y: newPoint.y });
 
+                this.enforceConstraints();
                 this.render();
                 this.calculateWeights();
             }
         }
     }
 
-    onMouseMove(e) {
+    onPointerMove(e) {
+        if (this.activePointerId !== null && e.pointerId !== this.activePointerId) return;
+
         const rect = this.canvas.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
+        // Moving too far turns a long-press into a drag
+        if (this.longPressTimer && this.distance(x, y, this.longPressOrigin.x, this.longPressOrigin.y) > 8) {
+            this.cancelLongPress();
+        }
+
         // Calculate hovered grayscale value
         const graph = this.screenToGraph(x, y);
-        if (graph.x >= 0 && graph.x <= 255) {
+        if (graph.x >= 0 && graph.x <= this.maxX) {
             const grayValue = Math.round(graph.x);
             this.hoveredX = grayValue;
             this.updateInfoBox(grayValue);
@@ -212,7 +502,7 @@ class HDRSplitCanvas {
             let needsUpdate = false;
 
             if (this.draggedPoint.type === 'main') {
-                if (this.draggedPoint.point.x !== 0 && this.draggedPoint.point.x !== 255) {
+                if (this.draggedPoint.point.x !== 0 && this.draggedPoint.point.x !== this.maxX) {
                     const snappedX = this.snapToGrid(graph.x);
                     const deltaX = snappedX - this.draggedPoint.point.x;
                     const deltaY = Math.max(0, Math.min(1, graph.y)) - this.draggedPoint.point.y;
@@ -245,6 +535,7 @@ class HDRSplitCanvas {
             } else if (this.draggedPoint.type === 'c1') {
                 this.draggedPoint.point.c1.x = graph.x;
                 this.draggedPoint.point.c1.y = graph.y;
+                this.clampHandle(this.draggedPoint.point, 'c1');
 
                 // If Shift is pressed, make control points symmetric
                 if (e.shiftKey && this.draggedPoint.point.c2) {
@@ -254,25 +545,24 @@ class HDRSplitCanvas {
                     // Mirror the control point on the opposite side
                     this.draggedPoint.point.c2.x = this.draggedPoint.point.x - dx;
                     this.draggedPoint.point.c2.y = this.draggedPoint.point.y - dy;
+                    this.clampHandle(this.draggedPoint.point, 'c2');
 
-                    // Notify C# about control vector 2 movement
-                    if (this.dotnetRef) {
-                        this.dotnetRef.invokeMethodAsync('c2m', this.draggedPoint.point.id, -dx, -dy);
-                    }
+                    // Announce the control vector 2 movement
+                    const point = this.draggedPoint.point;
+                    this.emit('pointmoved', { id: point.id, handle: 'c2', dx: point.c2.x - point.x, dy: point.c2.y - point.y });
                 }
 
-                // Notify C# about control vector 1 movement
+                // Announce the control vector 1 movement
                 // Control vectors are stored as offsets from the point position
-                if (this.dotnetRef) {
-                    const dx = this.draggedPoint.point.c1.x - this.draggedPoint.point.x;
-                    const dy = this.draggedPoint.point.c1.y - this.draggedPoint.point.y;
-                    this.dotnetRef.invokeMethodAsync('c1m', this.draggedPoint.point.id, dx, dy);
-                }
+                const dx = this.draggedPoint.point.c1.x - this.draggedPoint.point.x;
+                const dy = this.draggedPoint.point.c1.y - this.draggedPoint.point.y;
+                this.emit('pointmoved', { id: this.draggedPoint.point.id, handle: 'c1', dx, dy });
 
                 needsUpdate = true;
             } else if (this.draggedPoint.type === 'c2') {
                 this.draggedPoint.point.c2.x = graph.x;
                 this.draggedPoint.point.c2.y = graph.y;
+                this.clampHandle(this.draggedPoint.point, 'c2');
 
                 // If Shift is pressed, make control points symmetric
                 if (e.shiftKey && this.draggedPoint.point.c1) {
@@ -282,29 +572,31 @@ class HDRSplitCanvas {
                     // Mirror the control point on the opposite side
                     this.draggedPoint.point.c1.x = this.draggedPoint.point.x - dx;
                     this.draggedPoint.point.c1.y = this.draggedPoint.point.y - dy;
+                    this.clampHandle(this.draggedPoint.point, 'c1');
 
-                    // Notify C# about control vector 1 movement
-                    if (this.dotnetRef) {
-                        this.dotnetRef.invokeMethodAsync('c1m', this.draggedPoint.point.id, -dx, -dy);
-                    }
+                    // Announce the control vector 1 movement
+                    const point = this.draggedPoint.point;
+                    this.emit('pointmoved', { id: point.id, handle: 'c1', dx: point.c1.x - point.x, dy: point.c1.y - point.y });
                 }
 
-                // Notify C# about control vector 2 movement
+                // Announce the control vector 2 movement
                 // Control vectors are stored as offsets from the point position
-                if (this.dotnetRef) {
-                    const dx = this.draggedPoint.point.c2.x - this.draggedPoint.point.x;
-                    const dy = this.draggedPoint.point.c2.y - this.draggedPoint.point.y;
-                    this.dotnetRef.invokeMethodAsync('c2m', this.draggedPoint.point.id, dx, dy);
-                }
+                const dx = this.draggedPoint.point.c2.x - this.draggedPoint.point.x;
+                const dy = this.draggedPoint.point.c2.y - this.draggedPoint.point.y;
+                this.emit('pointmoved', { id: this.draggedPoint.point.id, handle: 'c2', dx, dy });
 
                 needsUpdate = true;
             }
 
             if (needsUpdate) {
-                // Notify C# about point movement during drag (for main points only)
-                if (this.draggedPoint.type === 'main' && this.dotnetRef) {
+                // The handle under the pointer wins when the monotonic constraint has to adjust handles
+                const draggedHandle = this.draggedPoint.type === 'main' ? null : this.draggedPoint.point[this.draggedPoint.type];
+                this.enforceConstraints(draggedHandle);
+
+                // Announce the point movement during drag (for main points only)
+                if (this.draggedPoint.type === 'main') {
                     const pointId = this.draggedPoint.point.id;
-                    this.dotnetRef.invokeMethodAsync('mv', pointId, this.draggedPoint.point.x, this.draggedPoint.point.y);
+                    this.emit('pointmoved', { id: pointId, x: this.draggedPoint.point.x, y: this.draggedPoint.point.y });
                 }
 
                 this.render();
@@ -313,11 +605,11 @@ class HDRSplitCanvas {
                 this.renderOutputBar();
             }
         } else {
-            const found = this.findPointAt(x, y);
+            const found = this.findPointAt(x, y, this.hitThreshold(e));
             if (found !== this.hoveredPoint ||
                 (found && this.hoveredPoint && found.type !== this.hoveredPoint.type)) {
                 this.hoveredPoint = found;
-                this.canvas.style.cursor = found ? 'grab' : 'crosshair';
+                this.canvas.style.cursor = this.readonly ? 'default' : found ? 'grab' : 'crosshair';
                 this.render();
             }
 
@@ -327,25 +619,69 @@ class HDRSplitCanvas {
         }
     }
 
-    onMouseUp() {
+    onPointerUp(e) {
+        if (this.activePointerId !== null && e.pointerId !== this.activePointerId) return;
+
+        this.cancelLongPress();
+        this.endDrag();
+    }
+
+    endDrag() {
+        if (this.activePointerId !== null) {
+            if (this.canvas.hasPointerCapture(this.activePointerId)) {
+                this.canvas.releasePointerCapture(this.activePointerId);
+            }
+            this.activePointerId = null;
+        }
+
         // Send final position when drag ends
-        if (this.draggedPoint && this.draggedPoint.type === 'main' && this.dotnetRef) {
+        if (this.draggedPoint && this.draggedPoint.type === 'main') {
             const pointId = this.draggedPoint.point.id;
-            this.dotnetRef.invokeMethodAsync('mv', pointId, this.draggedPoint.point.x, this.draggedPoint.point.y);
+            this.emit('pointmoved', { id: pointId, x: this.draggedPoint.point.x, y: this.draggedPoint.point.y });
+        }
+
+        // Record the whole drag as a single history step, with the neighbours whose handles it clamped
+        if (this.draggedPoint && this.dragSnapshot) {
+            const command = this.moveCommand(this.dragSnapshot);
+            if (command) this.pushHistory(command);
         }
 
         this.draggedPoint = null;
+        this.dragSnapshot = null;
         this.canvas.style.cursor = this.hoveredPoint ? 'grab' : 'crosshair';
     }
 
-    onMouseEnter() {
+    // Touch and pen have no double-click, so holding a point still deletes it
+    startLongPress(x, y, point) {
+        this.cancelLongPress();
+        this.longPressOrigin = { x, y };
+        this.longPressTimer = setTimeout(() => {
+            this.longPressTimer = null;
+            this.endDrag();
+            this.removePoint(point);
+            this.updateInfoBox(null);
+        }, this.longPressDelay);
+    }
+
+    cancelLongPress() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+        this.longPressOrigin = null;
+    }
+
+    onPointerEnter() {
         // When entering canvas, remove editable state
         if (this.selectedPoint) {
             this.updateInfoBox(this.selectedPoint.x, false);
         }
     }
 
-    onMouseLeave() {
+    onPointerLeave(e) {
+        // A lifted finger also "leaves"; only a mouse should open the inline editor
+        if (e.pointerType !== 'mouse') return;
+
         // When leaving canvas, show selected point info if available
         if (this.selectedPoint) {
             this.hoveredX = this.selectedPoint.x;
@@ -353,7 +689,7 @@ class HDRSplitCanvas {
 
             // Trigger inline editing for the selected point's weight
             if (!this.isEditing) {
-                const weightDisplay = document.getElementById(this.elementIds.weightDisplay);
+                const weightDisplay = this.element('weightDisplay');
                 if (weightDisplay && weightDisplay.classList.contains('editable')) {
                     weightDisplay.click(); // Trigger the inline edit
                 }
@@ -365,36 +701,538 @@ class HDRSplitCanvas {
     }
 
     onDoubleClick(e) {
+        if (this.readonly) return;
+
         const rect = this.canvas.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
         const found = this.findPointAt(x, y);
-        if (found && found.type === 'main' && this.points.length > 2) {
-            if (found.point.x !== 0 && found.point.x !== 255) {
-                const index = this.points.indexOf(found.point);
-                if (index > -1) {
-                    const pointId = found.point.id;
-                    this.points.splice(index, 1);
-
-                    // Notify C# about point removed
-                    if (this.dotnetRef) {
-                        this.dotnetRef.invokeMethodAsync('d', pointId);
-                    }
+        if (found && found.type === 'main') {
+            this.removePoint(found.point);
+        }
+    }
+
+    // Remove an inner point; the first and last points are fixed
+    removePoint(point) {
+        if (this.points.length <= 2 || point.x === 0 || point.x === this.maxX) return false;
+
+        const index = this.points.indexOf(point);
+        if (index === -1) return false;
+
+        const pointId = point.id;
+        this.points.splice(index, 1);
+
+        this.pushHistory({ type: 'remove', point: this.clonePoint(point) });
+        if (this.selectedPoint === point) {
+            this.selectedPoint = null;
+        }
 
-                    this.render();
-                    this.calculateWeights();
+        // Announce the removed point
+        this.emit('pointremoved', { id: pointId });
+
+        this.enforceConstraints();
+        this.render();
+        this.calculateWeights();
+        return true;
+    }
+
+    onKeyDown(e) {
+        if (this.isEditing || this.readonly) return;
+
+        if (e.ctrlKey || e.metaKey) {
+            const key = e.key.toLowerCase();
+
+            // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case 'Tab':
+                // Let focus leave the canvas once we cycle past either end
+                if (this.selectNextPoint(e.shiftKey ? -1 : 1)) {
+                    e.preventDefault();
                 }
+                break;
+
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                if (!this.selectedPoint) return;
+                e.preventDefault();
+                this.nudgeSelectedPoint((e.key === 'ArrowLeft' ? -1 : 1) * (e.shiftKey ? 10 * this.lutSize / 256 : 1), 0);
+                break;
+
+            case 'ArrowUp':
+            case 'ArrowDown':
+                if (!this.selectedPoint) return;
+                e.preventDefault();
+                this.nudgeSelectedPoint(0, (e.key === 'ArrowDown' ? -1 : 1) * (e.shiftKey ? 0.1 : 0.01));
+                break;
+
+            case 'Delete':
+            case 'Backspace':
+                if (!this.selectedPoint) return;
+                e.preventDefault();
+                this.removePoint(this.selectedPoint);
+                this.updateInfoBox(this.selectedPoint ? this.selectedPoint.x : null);
+                break;
+
+            case 'Escape':
+                if (!this.selectedPoint) return;
+                this.selectedPoint = null;
+                this.render();
+                this.updateInfoBox(null);
+                break;
+        }
+    }
+
+    // Move the selection by one point in the given direction, returns false past either end
+    selectNextPoint(direction) {
+        const index = this.selectedPoint ? this.points.indexOf(this.selectedPoint) : -1;
+        let nextIndex;
+        if (index === -1) {
+            nextIndex = direction > 0 ? 0 : this.points.length - 1;
+        } else {
+            nextIndex = index + direction;
+        }
+
+        if (nextIndex < 0 || nextIndex >= this.points.length) {
+            this.selectedPoint = null;
+            this.render();
+            this.updateInfoBox(null);
+            return false;
+        }
+
+        this.selectedPoint = this.points[nextIndex];
+        this.render();
+        this.updateInfoBox(this.selectedPoint.x);
+        return true;
+    }
+
+    // Move the selected point by dx gray levels and dy weight, keeping it between its neighbours
+    nudgeSelectedPoint(dx, dy) {
+        const point = this.selectedPoint;
+        const index = this.points.indexOf(point);
+        if (index === -1) return;
+
+        const before = this.snapshotPoints();
+
+        let newX = point.x;
+        if (point.x !== 0 && point.x !== this.maxX) {
+            const minX = index > 0 ? this.points[index - 1].x + 1 : 1;
+            const maxX = index < this.points.length - 1 ? this.points[index + 1].x - 1 : this.maxX - 1;
+            newX = Math.max(minX, Math.min(maxX, point.x + dx));
+        }
+        const newY = Math.max(0, Math.min(1, Math.round((point.y + dy) * 1000) / 1000));
+
+        const deltaX = newX - point.x;
+        const deltaY = newY - point.y;
+        if (deltaX === 0 && deltaY === 0) return;
+
+        point.x = newX;
+        point.y = newY;
+        if (point.c1) {
+            point.c1.x += deltaX;
+            point.c1.y += deltaY;
+        }
+        if (point.c2) {
+            point.c2.x += deltaX;
+            point.c2.y += deltaY;
+        }
+
+        // Control vectors are relative, so only the position needs to be sent
+        this.emit('pointmoved', { id: point.id, x: point.x, y: point.y });
+
+        this.enforceConstraints();
+        this.pushHistory(this.moveCommand(before));
+        this.render();
+        this.calculateWeights();
+        this.updateInfoBox(point.x);
+    }
+
+    // Copy of a point including its control handles, used by the history
+    clonePoint(point) {
+        return {
+            id: point.id,
+            x: point.x,
+            y: point.y,
+            c1: point.c1 ? { x: point.c1.x, y: point.c1.y } : null,
+            c2: point.c2 ? { x: point.c2.x, y: point.c2.y } : null
+        };
+    }
+
+    // Copies of every point, taken before an edit that constraints may spread to neighbouring handles
+    snapshotPoints() {
+        return this.points.map(p => this.clonePoint(p));
+    }
+
+    // A 'move' history step for the points that differ from their snapshots, or null if none changed
+    moveCommand(snapshots) {
+        const before = [];
+        const after = [];
+        for (const snapshot of snapshots) {
+            const point = this.points.find(p => p.id === snapshot.id);
+            if (point && !this.pointsEqual(snapshot, point)) {
+                before.push(snapshot);
+                after.push(this.clonePoint(point));
             }
         }
+        return before.length ? { type: 'move', before, after } : null;
     }
 
-    calculateWeights() {
-        for (let i = 0; i < 256; i++) {
-            this.weights[i] = this.getValueAtX(i);
+    pointsEqual(a, b) {
+        const handleEqual = (h1, h2) => (!h1 && !h2) || (h1 && h2 && h1.x === h2.x && h1.y === h2.y);
+        return a.x === b.x && a.y === b.y && handleEqual(a.c1, b.c1) && handleEqual(a.c2, b.c2);
+    }
+
+    pushHistory(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo()) return false;
+
+        const command = this.undoStack.pop();
+        this.applyHistoryCommand(command, true);
+        this.redoStack.push(command);
+        return true;
+    }
+
+    redo() {
+        if (!this.canRedo()) return false;
+
+        const command = this.redoStack.pop();
+        this.applyHistoryCommand(command, false);
+        this.undoStack.push(command);
+        return true;
+    }
+
+    // Apply a history command in either direction and announce the matching edits
+    applyHistoryCommand(command, isUndo) {
+        switch (command.type) {
+            case 'add':
+                if (isUndo) {
+                    this.removePointById(command.point.id);
+                } else {
+                    this.restorePoint(command.point);
+                }
+                break;
+
+            case 'remove':
+                if (isUndo) {
+                    this.restorePoint(command.point);
+                } else {
+                    this.removePointById(command.point.id);
+                }
+                break;
+
+            case 'move':
+                (isUndo ? command.before : command.after).forEach(snapshot => this.applyPointSnapshot(snapshot));
+                break;
+
+            case 'replace':
+                this.replacePoints(isUndo ? command.before : command.after);
+                break;
+        }
+
+        this.draggedPoint = null;
+        this.hoveredPoint = null;
+
+        this.enforceConstraints();
+        this.render();
+        this.calculateWeights();
+        this.updateInfoBox(this.hoveredX);
+    }
+
+    restorePoint(snapshot) {
+        const point = this.clonePoint(snapshot);
+        this.points.push(point);
+        this.points.sort((a, b) => a.x - b.x);
+        this.nextPointId = Math.max(this.nextPointId, point.id + 1);
+
+        this.emit('pointadded', { id: point.id, x: point.x, y: point.y });
+        this.notifyControlVectors(point);
+    }
+
+    removePointById(id) {
+        const index = this.points.findIndex(p => p.id === id);
+        if (index === -1) return;
+
+        const [removed] = this.points.splice(index, 1);
+        if (this.selectedPoint === removed) {
+            this.selectedPoint = null;
         }
+
+        this.emit('pointremoved', { id });
+    }
+
+    applyPointSnapshot(snapshot) {
+        const point = this.points.find(p => p.id === snapshot.id);
+        if (!point) return;
+
+        // Update in place so selection references stay valid
+        point.x = snapshot.x;
+        point.y = snapshot.y;
+        point.c1 = snapshot.c1 ? { x: snapshot.c1.x, y: snapshot.c1.y } : null;
+        point.c2 = snapshot.c2 ? { x: snapshot.c2.x, y: snapshot.c2.y } : null;
+        this.points.sort((a, b) => a.x - b.x);
+
+        this.emit('pointmoved', { id: point.id, x: point.x, y: point.y });
+        this.notifyControlVectors(point);
+    }
+
+    replacePoints(snapshots) {
+        this.points = snapshots.map(p => this.clonePoint(p));
+        this.nextPointId = this.points.reduce((max, p) => Math.max(max, p.id + 1), 1);
+        this.selectedPoint = null;
+        this.announceReplacement();
+    }
+
+    // Announce the whole curve as new: a reset, then every point and its control vectors.
+    // .NET gets a single snapshot instead.
+    announceReplacement() {
+        this.replacing = true;
+        this.emit('reset', {});
+        for (const point of this.points) {
+            this.emit('pointadded', { id: point.id, x: point.x, y: point.y });
+        }
+        this.points.forEach(point => this.notifyControlVectors(point));
+        this.replacing = false;
+        this.sendSnapshot();
+    }
+
+    // The curve as C# holds it: 8-bit input levels and handles as offsets from their point
+    getSnapshot() {
+        const scaleX = 255 / this.maxX;
+        const offset = (handle, point) => (handle
+            ? { dx: (handle.x - point.x) * scaleX, dy: handle.y - point.y }
+            : null);
+        return {
+            interpolation: this.interpolation,
+            points: this.points.map(point => ({
+                id: point.id,
+                x: point.x * scaleX,
+                y: point.y,
+                c1: offset(point.c1, point),
+                c2: offset(point.c2, point)
+            }))
+        };
+    }
+
+    // Send the whole curve to .NET as one 's' message. It replaces everything queued before it;
+    // C# also asks for one when it detects a gap in the revisions.
+    sendSnapshot() {
+        if (!this.dotnetRef) return;
+
+        this.pendingOps = [];
+        this.dotnetRef.invokeMethodAsync('s', ++this.revision, this.getSnapshot());
+    }
+
+    // Send control vectors as offsets from the point position
+    notifyControlVectors(point) {
+        if (point.c1) {
+            this.emit('pointmoved', { id: point.id, handle: 'c1', dx: point.c1.x - point.x, dy: point.c1.y - point.y });
+        }
+        if (point.c2) {
+            this.emit('pointmoved', { id: point.id, handle: 'c2', dx: point.c2.x - point.x, dy: point.c2.y - point.y });
+        }
+    }
+
+    // Forward a change to C#. The C# curve state works in 8-bit input levels,
+    // so X coordinates and X offsets are scaled from this editor's LUT range.
+    // Single messages carry their revision as the last argument.
+    notifyDotNet(method, ...args) {
+        if (!this.dotnetRef || this.replacing) return;
+
+        if (method === 'a' || method === 'mv' || method === 'c1m' || method === 'c2m') {
+            args[1] = args[1] * 255 / this.maxX;
+        }
+
+        if (this.batchInterval === null) {
+            this.dotnetRef.invokeMethodAsync(method, ...args, ++this.revision);
+        } else {
+            this.queueOp([method, ...args]);
+        }
+    }
+
+    // Add an op to the pending batch. A move replaces the queued move of the same kind for the same
+    // point unless an add, remove or mode change was queued after it.
+    queueOp(op) {
+        const [method, id] = op;
+
+        if (method === 'mv' || method === 'c1m' || method === 'c2m') {
+            for (let i = this.pendingOps.length - 1; i >= 0; i--) {
+                const queued = this.pendingOps[i];
+                if (queued[0] === method && queued[1] === id) {
+                    this.pendingOps[i] = op;
+                    this.scheduleFlush();
+                    return;
+                }
+                if (queued[0] !== 'mv' && queued[0] !== 'c1m' && queued[0] !== 'c2m') break;
+            }
+        }
+
+        this.pendingOps.push(op);
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.flushScheduled) return;
+        this.flushScheduled = true;
+
+        if (this.batchInterval === 0 && typeof requestAnimationFrame === 'function') {
+            requestAnimationFrame(() => this.flush());
+        } else {
+            setTimeout(() => this.flush(), this.batchInterval);
+        }
+    }
+
+    // Send the queued ops as one 'b' message with the next revision
+    flush() {
+        this.flushScheduled = false;
+        if (this.pendingOps.length === 0 || !this.dotnetRef) return;
+
+        const ops = this.pendingOps;
+        this.pendingOps = [];
+        this.dotnetRef.invokeMethodAsync('b', ++this.revision, ops);
+    }
+
+    // Switch the monotonic constraint: 'increasing', 'decreasing' or null to turn it off
+    setMonotonic(mode) {
+        this.monotonic = mode || null;
+        this.enforceConstraints();
+        this.render();
+        this.calculateWeights();
+    }
+
+    // Repair handles that left their valid domain or break the monotonic mode, and announce them
+    enforceConstraints(fixedHandle = null) {
+        const changed = new Set(this.applyHandleConstraints());
+        this.applyMonotonicConstraint(fixedHandle).forEach(point => changed.add(point));
+        changed.forEach(point => this.notifyControlVectors(point));
+    }
+
+    // Clamp one handle in place. X stays between the neighbouring anchors so each segment
+    // is a function of X (findTForX relies on that); Y is clamped to 0..1 when clampHandleY is on.
+    // Non-finite coordinates are replaced by the default handle offset. Returns true if it changed.
+    clampHandle(point, type) {
+        const handle = point[type];
+        if (!handle) return false;
+
+        const index = this.points.indexOf(point);
+        const prev = index > 0 ? this.points[index - 1] : null;
+        const next = index >= 0 && index < this.points.length - 1 ? this.points[index + 1] : null;
+        const minX = type === 'c1' ? (prev ? prev.x : point.x) : point.x;
+        const maxX = type === 'c1' ? point.x : (next ? next.x : point.x);
+
+        const oldX = handle.x;
+        const oldY = handle.y;
+
+        if (!Number.isFinite(handle.x)) handle.x = point.x + (type === 'c1' ? -this.handleOffset : this.handleOffset);
+        if (!Number.isFinite(handle.y)) handle.y = point.y;
+
+        handle.x = Math.max(minX, Math.min(maxX, handle.x));
+        if (this.clampHandleY) {
+            handle.y = Math.max(0, Math.min(1, handle.y));
+        }
+
+        return handle.x !== oldX || handle.y !== oldY;
+    }
+
+    // Clamp all handles; returns the points whose handles changed
+    applyHandleConstraints() {
+        const changed = [];
+        for (const point of this.points) {
+            const c1Changed = this.clampHandle(point, 'c1');
+            const c2Changed = this.clampHandle(point, 'c2');
+            if (c1Changed || c2Changed) changed.push(point);
+        }
+        return changed;
+    }
+
+    // Keeps each segment's handle Y between its anchors and in the curve direction, so
+    // the Bezier Y is monotonic. Anchors in the wrong order can't be fixed by handles;
+    // they are recorded in monotonicViolations instead. On an ordering conflict the
+    // handle opposite to fixedHandle yields. Returns the points whose handles changed.
+    applyMonotonicConstraint(fixedHandle = null) {
+        this.monotonicViolations.clear();
+        if (!this.monotonic) return [];
+
+        const direction = this.monotonic === 'decreasing' ? -1 : 1;
+        const changed = new Set();
+
+        for (let i = 0; i < this.points.length - 1; i++) {
+            const p0 = this.points[i];
+            const p3 = this.points[i + 1];
+
+            if ((p3.y - p0.y) * direction < 0) {
+                this.monotonicViolations.add(p3);
+                continue;
+            }
+
+            const lo = Math.min(p0.y, p3.y);
+            const hi = Math.max(p0.y, p3.y);
+            const h1 = p0.c2;
+            const h2 = p3.c1;
+            const h1Before = h1 ? h1.y : null;
+            const h2Before = h2 ? h2.y : null;
+
+            if (h1) h1.y = Math.max(lo, Math.min(hi, h1.y));
+            if (h2) h2.y = Math.max(lo, Math.min(hi, h2.y));
+
+            if (h1 && h2 && (h2.y - h1.y) * direction < 0) {
+                if (fixedHandle === h1) {
+                    h2.y = h1.y;
+                } else if (fixedHandle === h2) {
+                    h1.y = h2.y;
+                } else {
+                    h1.y = h2.y = (h1.y + h2.y) / 2;
+                }
+            }
+
+            if (h1 && h1.y !== h1Before) changed.add(p0);
+            if (h2 && h2.y !== h2Before) changed.add(p3);
+        }
+
+        return Array.from(changed);
+    }
+
+    calculateWeights() {
+        this.model.calculateWeights(this.weights);
         this.renderGrayscaleBar();
         this.renderOutputBar();
+        if (this.preview) this.preview.setWeights(this.weights);
+        this.emit('change', { weights: this.weights });
+    }
+
+    // Keep an HDRPreview in sync with this curve; pass null to detach
+    attachPreview(preview) {
+        this.preview = preview;
+        if (preview) preview.setWeights(this.weights);
     }
 
     renderGrayscaleBar() {
@@ -418,7 +1256,7 @@ class HDRSplitCanvas {
 
         // Draw vertical indicator line if hovering
         if (this.hoveredX !== null) {
-            const x = (this.hoveredX / 255) * width;
+            const x = (this.hoveredX / this.maxX) * width;
             this.grayscaleCtx.strokeStyle = '#888';
             this.grayscaleCtx.lineWidth = 1;
             this.grayscaleCtx.beginPath();
@@ -441,8 +1279,8 @@ class HDRSplitCanvas {
             const x = (i / 255) * width;
             const barWidth = Math.ceil(width / 255) + 1;
 
-            // Calculate output grayscale value (input * weight)
-            const outputValue = Math.round(i * this.weights[i]);
+            // Calculate output grayscale value (input * weight); the bar is drawn in 8-bit
+            const outputValue = Math.round(i * this.weights[Math.round(i * this.maxX / 255)]);
 
             const color = `rgb(${outputValue}, ${outputValue}, ${outputValue})`;
             this.outputCtx.fillStyle = color;
@@ -451,7 +1289,7 @@ class HDRSplitCanvas {
 
         // Draw vertical indicator line if hovering
         if (this.hoveredX !== null) {
-            const x = (this.hoveredX / 255) * width;
+            const x = (this.hoveredX / this.maxX) * width;
             this.outputCtx.strokeStyle = '#888';
             this.outputCtx.lineWidth = 1;
             this.outputCtx.beginPath();
@@ -462,11 +1300,11 @@ class HDRSplitCanvas {
     }
 
     updateInfoBox(grayValue, showEditable = false) {
-        const valueDisplay = document.getElementById(this.elementIds.valueDisplay);
-        const hexDisplay = document.getElementById(this.elementIds.hexDisplay);
-        const colorBox = document.getElementById(this.elementIds.colorBox);
-        const outputColorBox = document.getElementById(this.elementIds.outputColorBox);
-        const weightDisplay = document.getElementById(this.elementIds.weightDisplay);
+        const valueDisplay = this.element('valueDisplay');
+        const hexDisplay = this.element('hexDisplay');
+        const colorBox = this.element('colorBox');
+        const outputColorBox = this.element('outputColorBox');
+        const weightDisplay = this.element('weightDisplay');
 
         // Check if elements exist
         if (!valueDisplay || !hexDisplay || !weightDisplay) {
@@ -475,21 +1313,25 @@ class HDRSplitCanvas {
 
         if (grayValue !== null) {
             this.hoveredX = grayValue;
-            const weight = this.weights[grayValue];
-            const hex = grayValue.toString(16).padStart(2, '0').toUpperCase();
-
-            valueDisplay.textContent = grayValue.toString().padStart(3, ' ');
-            hexDisplay.textContent = `#${hex}${hex}${hex}`;
+            // Points loaded from a path or state may sit between input levels; show the nearest one
+            const level = Math.round(grayValue);
+            const weight = this.weights[level];
+            const hex = level.toString(16).padStart(Math.ceil(this.bitDepth / 4), '0').toUpperCase();
+            // Color boxes are shown in 8-bit regardless of the input depth
+            const displayValue = Math.round(level * 255 / this.maxX);
+
+            valueDisplay.textContent = level.toString().padStart(String(this.maxX).length, ' ');
+            hexDisplay.textContent = this.bitDepth === 8 ? `#${hex}${hex}${hex}` : `0x${hex}`;
             weightDisplay.textContent = weight.toFixed(3);
 
             // Update input color box
             if (colorBox) {
-                colorBox.style.backgroundColor = `rgb(${grayValue}, ${grayValue}, ${grayValue})`;
+                colorBox.style.backgroundColor = `rgb(${displayValue}, ${displayValue}, ${displayValue})`;
             }
 
             // Update output color box with weighted value
             if (outputColorBox) {
-                const outputValue = Math.round(grayValue * weight);
+                const outputValue = Math.round(displayValue * weight);
                 outputColorBox.style.backgroundColor = `rgb(${outputValue}, ${outputValue}, ${outputValue})`;
             }
 
@@ -520,79 +1362,118 @@ class HDRSplitCanvas {
         }
     }
 
-    getValueAtX(x) {
-        if (this.points.length === 0) return 0.5;
-        if (x <= this.points[0].x) return Math.max(0, Math.min(1, this.points[0].y));
-        if (x >= this.points[this.points.length - 1].x) return Math.max(0, Math.min(1, this.points[this.points.length - 1].y));
+    usesHandles() {
+        return this.model.usesHandles();
+    }
 
-        for (let i = 0; i < this.points.length - 1; i++) {
-            const p1 = this.points[i];
-            const p2 = this.points[i + 1];
+    // Switch the interpolation mode and announce it so C# weights use the same mode
+    setInterpolation(mode) {
+        if (!HDRSplitCanvas.INTERPOLATIONS.includes(mode)) {
+            console.error(`Unknown interpolation mode: ${mode}`);
+            return false;
+        }
+        if (mode === this.interpolation) return true;
 
-            if (x >= p1.x && x <= p2.x) {
-                const t = this.findTForX(p1, p2, x);
-                const y = this.bezierY(p1, p2, t);
-                return Math.max(0, Math.min(1, y));
-            }
+        this.interpolation = mode;
+        if (!this.usesHandles() && this.draggedPoint && this.draggedPoint.type !== 'main') {
+            this.draggedPoint = null;
         }
+        this.hoveredPoint = null;
+
+        this.emit('interpolationchange', { mode });
 
-        return 0.5;
+        this.render();
+        this.calculateWeights();
+        return true;
     }
 
-    findTForX(p1, p2, targetX) {
-        let t = 0.5;
-        let step = 0.25;
+    getValueAtX(x) {
+        return this.model.getValueAtX(x);
+    }
 
-        for (let i = 0; i < 20; i++) {
-            const x = this.bezierX(p1, p2, t);
-            if (Math.abs(x - targetX) < 0.01) break;
+    render() {
+        this.ctx.fillStyle = '#1e1e1e';
+        this.ctx.fillRect(0, 0, this.width, this.height);
 
-            if (x < targetX) {
-                t += step;
-            } else {
-                t -= step;
-            }
-            step *= 0.5;
-        }
+        this.drawHistogram();
+        this.drawGrid();
+        this.drawLegend();
+        this.drawCurve();
+        this.drawPoints();
+        this.renderGrayscaleBar();
+        this.announceSelection();
+    }
 
-        return t;
+    // Show the tonal distribution of an image behind the curve; bins span the whole input range.
+    // Pass null to remove it.
+    setHistogram(bins) {
+        this.histogram = bins ? Uint32Array.from(bins) : null;
+        this.render();
     }
 
-    bezierX(p1, p2, t) {
-        const t2 = t * t;
-        const t3 = t2 * t;
-        const mt = 1 - t;
-        const mt2 = mt * mt;
-        const mt3 = mt2 * mt;
+    // Build a 256-bin luminance histogram from an ImageData or a loaded <img>
+    setHistogramFromImage(source) {
+        const imageData = this.getImageData(source);
+        if (!imageData) return null;
+
+        const bins = new Uint32Array(256);
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            bins[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+        }
 
-        const c1x = p1.c2 ? p1.c2.x : p1.x;
-        const c2x = p2.c1 ? p2.c1.x : p2.x;
+        this.setHistogram(bins);
+        return bins;
+    }
 
-        return mt3 * p1.x + 3 * mt2 * t * c1x + 3 * mt * t2 * c2x + t3 * p2.x;
+    setHistogramScale(scale) {
+        if (scale !== 'linear' && scale !== 'log') {
+            console.error(`Unknown histogram scale: ${scale}`);
+            return false;
+        }
+        this.histogramScale = scale;
+        this.render();
+        return true;
     }
 
-    bezierY(p1, p2, t) {
-        const t2 = t * t;
-        const t3 = t2 * t;
-        const mt = 1 - t;
-        const mt2 = mt * mt;
-        const mt3 = mt2 * mt;
+    getImageData(source) {
+        if (source instanceof ImageData) return source;
 
-        const c1y = p1.c2 ? p1.c2.y : p1.y;
-        const c2y = p2.c1 ? p2.c1.y : p2.y;
+        if (source instanceof HTMLImageElement) {
+            if (!source.complete || source.naturalWidth === 0) {
+                console.error('Image is not loaded yet');
+                return null;
+            }
+            const canvas = document.createElement('canvas');
+            canvas.width = source.naturalWidth;
+            canvas.height = source.naturalHeight;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(source, 0, 0);
+            return ctx.getImageData(0, 0, canvas.width, canvas.height);
+        }
 
-        return mt3 * p1.y + 3 * mt2 * t * c1y + 3 * mt * t2 * c2y + t3 * p2.y;
+        console.error('Histogram source must be ImageData or HTMLImageElement');
+        return null;
     }
 
-    render() {
-        this.ctx.fillStyle = '#1e1e1e';
-        this.ctx.fillRect(0, 0, this.width, this.height);
+    drawHistogram() {
+        if (!this.histogram || this.histogram.length < 2) return;
 
-        this.drawGrid();
-        this.drawLegend();
-        this.drawCurve();
-        this.drawPoints();
-        this.renderGrayscaleBar();
+        const bins = this.histogram;
+        const scale = this.histogramScale === 'log' ? v => Math.log1p(v) : v => v;
+        const max = scale(bins.reduce((m, v) => Math.max(m, v), 0));
+        if (max === 0) return;
+
+        this.ctx.fillStyle = 'rgba(200, 200, 200, 0.15)';
+        this.ctx.beginPath();
+        this.ctx.moveTo(this.padding, this.padding + this.graphHeight);
+        for (let i = 0; i < bins.length; i++) {
+            const screen = this.graphToScreen((i / (bins.length - 1)) * this.maxX, scale(bins[i]) / max);
+            this.ctx.lineTo(screen.x, screen.y);
+        }
+        this.ctx.lineTo(this.padding + this.graphWidth, this.padding + this.graphHeight);
+        this.ctx.closePath();
+        this.ctx.fill();
     }
 
     drawGrid() {
@@ -621,9 +1502,9 @@ class HDRSplitCanvas {
         this.ctx.fillStyle = '#aaa';
         this.ctx.textAlign = 'center';
 
-        // X-axis labels (0-255)
+        // X-axis labels (0-maxX)
         for (let i = 0; i <= 10; i++) {
-            const value = Math.round((i / 10) * 255);
+            const value = Math.round((i / 10) * this.maxX);
             const x = this.padding + (i / 10) * this.graphWidth;
             this.ctx.fillText(value.toString(), x, this.height - this.padding + 20);
         }
@@ -657,8 +1538,11 @@ class HDRSplitCanvas {
         // Draw the curve by sampling points and clamping
         this.ctx.beginPath();
 
-        for (let x = 0; x <= 255; x++) {
-            const y = this.getValueAtX(x);
+        // High bit depths have more levels than pixels, so sample at most ~1024 of them
+        const step = Math.max(1, Math.floor(this.lutSize / 1024));
+        const tangents = this.usesHandles() ? null : this.model.tangents();
+        for (let x = 0; x <= this.maxX; x = x < this.maxX && x + step > this.maxX ? this.maxX : x + step) {
+            const y = this.model.getValueAtX(x, tangents);
             const screen = this.graphToScreen(x, y);
 
             if (x === 0) {
@@ -666,12 +1550,15 @@ class HDRSplitCanvas {
             } else {
                 this.ctx.lineTo(screen.x, screen.y);
             }
+            if (x === this.maxX) break;
         }
 
         this.ctx.stroke();
     }
 
     drawPoints() {
+        const showHandles = this.usesHandles();
+
         for (let point of this.points) {
             const mainScreen = this.graphToScreen(point.x, point.y);
             const isHovered = this.hoveredPoint && this.hoveredPoint.point === point;
@@ -680,7 +1567,7 @@ class HDRSplitCanvas {
             this.ctx.lineWidth = 1;
             this.ctx.setLineDash([5, 5]);
 
-            if (point.c1) {
+            if (showHandles && point.c1) {
                 const c1Screen = this.graphToScreen(point.c1.x, point.c1.y);
                 this.ctx.beginPath();
                 this.ctx.moveTo(c1Screen.x, c1Screen.y);
@@ -694,7 +1581,7 @@ class HDRSplitCanvas {
                 this.ctx.fill();
             }
 
-            if (point.c2) {
+            if (showHandles && point.c2) {
                 const c2Screen = this.graphToScreen(point.c2.x, point.c2.y);
                 this.ctx.beginPath();
                 this.ctx.moveTo(mainScreen.x, mainScreen.y);
@@ -711,10 +1598,27 @@ class HDRSplitCanvas {
             this.ctx.setLineDash([]);
 
             const mainHovered = isHovered && this.hoveredPoint.type === 'main';
+            const isSelected = this.selectedPoint === point;
             this.ctx.fillStyle = mainHovered ? '#00f5ff' : '#00d4ff';
             this.ctx.beginPath();
-            this.ctx.arc(mainScreen.x, mainScreen.y, mainHovered ? 7 : 6, 0, Math.PI * 2);
+            this.ctx.arc(mainScreen.x, mainScreen.y, isSelected ? 8 : (mainHovered ? 7 : 6), 0, Math.PI * 2);
             this.ctx.fill();
+
+            // White outline marks the selected point (also for keyboard navigation)
+            if (isSelected) {
+                this.ctx.strokeStyle = '#fff';
+                this.ctx.lineWidth = 2;
+                this.ctx.stroke();
+            }
+
+            // Red ring flags points that break the monotonic order
+            if (this.monotonicViolations.has(point)) {
+                this.ctx.strokeStyle = '#ff4444';
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.arc(mainScreen.x, mainScreen.y, 11, 0, Math.PI * 2);
+                this.ctx.stroke();
+            }
         }
     }
 
@@ -722,10 +1626,10 @@ class HDRSplitCanvas {
         const setupEditableField = (element) => {
             if (!element) return;
 
-            element.addEventListener('click', () => {
+            this.listen(element, 'click', () => {
                 // Only allow editing if the element has the editable class
                 if (!element.classList.contains('editable')) return;
-                if (this.isEditing) return; // Don't allow multiple edits
+                if (this.isEditing || this.readonly) return; // Don't allow multiple edits
                 if (!this.selectedPoint) return;
 
                 this.isEditing = true; // Set editing flag
@@ -754,6 +1658,7 @@ class HDRSplitCanvas {
                     // Always use the current selected point, not a captured reference
                     if (!isNaN(newWeight) && newWeight >= 0 && newWeight <= 1 && this.selectedPoint) {
                         const currentPoint = this.selectedPoint; // Get current reference
+                        const before = this.snapshotPoints();
                         const oldY = currentPoint.y;
                         const deltaY = newWeight - oldY;
 
@@ -767,11 +1672,13 @@ class HDRSplitCanvas {
                             currentPoint.c2.y += deltaY;
                         }
 
-                        // Notify C# about the point movement
-                        if (this.dotnetRef) {
-                            this.dotnetRef.invokeMethodAsync('mv', currentPoint.id, currentPoint.x, currentPoint.y);
-                        }
+                        // Announce the point movement
+                        this.emit('pointmoved', { id: currentPoint.id, x: currentPoint.x, y: currentPoint.y });
+
+                        this.enforceConstraints();
 
+                        const command = this.moveCommand(before);
+                        if (command) this.pushHistory(command);
                         this.render();
                         this.calculateWeights();
                     }
@@ -813,7 +1720,7 @@ class HDRSplitCanvas {
         };
 
         // Setup inline editing for weight display
-        const weightDisplay = document.getElementById(this.elementIds.weightDisplay);
+        const weightDisplay = this.element('weightDisplay');
         if (weightDisplay) setupEditableField(weightDisplay);
     }
 
@@ -824,8 +1731,12 @@ class HDRSplitCanvas {
     // Export the current curve state as JSON
     getState() {
         return {
-            version: '1.0',
+            version: CurveModel.STATE_VERSIONS.gray,
+            interpolation: this.interpolation,
+            bitDepth: this.bitDepth,
+            lutSize: this.lutSize,
             points: this.points.map(point => ({
+                id: point.id,
                 x: point.x,
                 y: point.y,
                 c1: point.c1 ? { x: point.c1.x, y: point.c1.y } : null,
@@ -834,36 +1745,72 @@ class HDRSplitCanvas {
         };
     }
 
-    // Import curve state from JSON
-    setState(state) {
-        if (!state || !state.points || !Array.isArray(state.points)) {
-            console.error('Invalid state format');
+    // Import curve state from JSON. RGB states are converted, taking options.channel ('r', 'g' or 'b')
+    // or the luminance of the channels. An invalid state is reported as an 'error' event and returns false.
+    setState(state, options = {}) {
+        const errors = CurveModel.validateState(state);
+        const channels = [...CurveModel.CHANNELS, 'luminance'];
+        if (options.channel !== undefined && options.channel !== null && !channels.includes(options.channel)) {
+            errors.push({ path: 'channel', message: `channel must be one of ${channels.join(', ')}` });
+        }
+        if (errors.length) {
+            this.emit('error', { errors });
             return false;
         }
+        state = CurveModel.migrateState(state, 'gray', options);
+
+        // Points are rescaled to this editor's input range; fractional x is kept, as reload keeps it
+        const sourceMaxX = CurveModel.stateMaxX(state);
+        const scale = x => (sourceMaxX === this.maxX ? x : x * this.maxX / sourceMaxX);
+        const keepIds = CurveModel.validIds(state.points);
+        const points = state.points.map(point => ({
+            id: keepIds ? point.id : null,
+            x: scale(point.x),
+            y: point.y,
+            c1: point.c1 ? { x: scale(point.c1.x), y: point.c1.y } : null,
+            c2: point.c2 ? { x: scale(point.c2.x), y: point.c2.y } : null
+        }));
 
-        // Validate points
-        const validPoints = state.points.every(point =>
-            typeof point.x === 'number' &&
-            typeof point.y === 'number' &&
-            point.x >= 0 && point.x <= 255 &&
-            point.y >= 0 && point.y <= 1
-        );
-
-        if (!validPoints) {
-            console.error('Invalid point data');
+        // Two anchors at the same x would make the curve ambiguous there
+        const order = points.map((point, index) => index).sort((a, b) => points[a].x - points[b].x);
+        const duplicates = order.slice(1)
+            .filter((index, k) => points[index].x === points[order[k]].x)
+            .map(index => ({ path: `points[${index}].x`, message: `x ${state.points[index].x} is shared with another point` }));
+        if (duplicates.length) {
+            this.emit('error', { errors: duplicates });
             return false;
         }
 
-        // Clear current points and load new ones
-        this.points = state.points.map(point => ({
-            x: point.x,
-            y: point.y,
-            c1: point.c1 ? { x: point.c1.x, y: point.c1.y } : null,
-            c2: point.c2 ? { x: point.c2.x, y: point.c2.y } : null
-        }));
+        // Older files have no interpolation field and are always Bezier
+        const interpolation = state.interpolation || 'bezier';
+        if (interpolation !== this.interpolation) {
+            this.interpolation = interpolation;
+            this.emit('interpolationchange', { mode: interpolation });
+        }
 
-        // Sort points by x coordinate
-        this.points.sort((a, b) => a.x - b.x);
+        // Replace the current points, sorted by x
+        this.points = order.map(index => points[index]);
+
+        // Ids saved with the state are kept; states without them (or with duplicates) are numbered from 1
+        if (!keepIds) {
+            this.points.forEach((point, index) => point.id = index + 1);
+        }
+        this.nextPointId = this.points.reduce((max, p) => Math.max(max, p.id + 1), 1);
+
+        // Clear selection
+        this.selectedPoint = null;
+        this.hoveredPoint = null;
+        this.draggedPoint = null;
+
+        // Loaded state is a new baseline, previous edits no longer apply
+        this.clearHistory();
+
+        // Repair out-of-domain handles the same way edits are constrained
+        this.applyHandleConstraints();
+        this.applyMonotonicConstraint();
+
+        // .NET still holds the previous curve: replace it with the loaded points
+        this.announceReplacement();
 
         // Update display
         this.render();
@@ -877,19 +1824,22 @@ class HDRSplitCanvas {
         return JSON.stringify(this.getState(), null, 2);
     }
 
-    // Import from JSON string
-    importJSON(jsonString) {
+    // Import from JSON string; options as for setState
+    importJSON(jsonString, options = {}) {
+        let state;
         try {
-            const state = JSON.parse(jsonString);
-            return this.setState(state);
+            state = JSON.parse(jsonString);
         } catch (e) {
-            console.error('Failed to parse JSON:', e);
+            this.emit('error', { errors: [{ path: '', message: `Invalid JSON: ${e.message}` }] });
             return false;
         }
+        return this.setState(state, options);
     }
 
     // Reset curve to default (only start and end points at 0.5)
     reset() {
+        const before = this.points.map(p => this.clonePoint(p));
+
         // Clear all existing points
         this.points = [];
         this.nextPointId = 1;
@@ -900,14 +1850,14 @@ class HDRSplitCanvas {
             x: 0,
             y: 0.5,
             c1: null,
-            c2: { x: 10, y: 0.5 }
+            c2: { x: this.handleOffset, y: 0.5 }
         };
 
         const endPoint = {
             id: this.nextPointId++,
-            x: 255,
+            x: this.maxX,
             y: 0.5,
-            c1: { x: 245, y: 0.5 },
+            c1: { x: this.maxX - this.handleOffset, y: 0.5 },
             c2: null
         };
 
@@ -919,45 +1869,57 @@ class HDRSplitCanvas {
         this.hoveredPoint = null;
         this.draggedPoint = null;
 
-        // Notify C# about the reset
-        if (this.dotnetRef) {
-            // First, notify about removing all existing points except the defaults
-            // We'll send the new state by notifying about the two default points
-            this.dotnetRef.invokeMethodAsync('rst'); // reset notification
+        // Announce the reset and the default points
+        this.announceReplacement();
 
-            // Then add the default points
-            this.dotnetRef.invokeMethodAsync('a', startPoint.id, startPoint.x, startPoint.y);
-            this.dotnetRef.invokeMethodAsync('a', endPoint.id, endPoint.x, endPoint.y);
-
-            // Set their control vectors
-            this.dotnetRef.invokeMethodAsync('c2m', startPoint.id, 10, 0);
-            this.dotnetRef.invokeMethodAsync('c1m', endPoint.id, -10, 0);
-        }
+        this.pushHistory({ type: 'replace', before, after: this.points.map(p => this.clonePoint(p)) });
 
         // Update display
         this.render();
         this.calculateWeights();
     }
 
+    // The curve as an SVG path in 8-bit input levels, the format reload() reads and C# stores
+    toSVGPath() {
+        return CurveModel.toSVGPath(this.points, this.maxX);
+    }
+
     // Reload state from SVG path string and return base ID (minimum ID)
     reload(pathString) {
+        // C# already holds this path, queued edits of the old curve no longer apply
+        this.pendingOps = [];
+
         if (!pathString || pathString.trim() === '') {
             // Empty path - reset to defaults
             this.points = [];
             this.nextPointId = 1;
             this.initializePoints();
+            this.clearHistory();
             this.render();
             this.calculateWeights();
             return 1; // Base ID for default points
         }
 
-        // Parse SVG path string
-        const segments = this.parseSVGPath(pathString);
-        if (segments.length === 0) {
-            console.error('Failed to parse SVG path');
+        // Parse SVG path string; malformed paths are reported as an 'error' event
+        let segments;
+        try {
+            segments = CurveModel.parseSVGPath(pathString);
+            if (segments.length === 0) {
+                throw new CurveModel.PathError('no-segments', 'Path has no curve segments', pathString.length);
+            }
+        } catch (error) {
+            if (!(error instanceof CurveModel.PathError)) throw error;
+            this.emit('error', { error });
             return -1; // Error indicator
         }
 
+        // Paths from C# are in 8-bit input levels
+        for (const segment of segments) {
+            for (const p of [segment.p0, segment.p1, segment.p2, segment.p3]) {
+                p.x = CurveModel.fromLevels8(p.x, this.maxX);
+            }
+        }
+
         // Clear current points
         this.points = [];
 
@@ -975,7 +1937,7 @@ class HDRSplitCanvas {
             if (!pointMap.has(startKey)) {
                 const startPoint = {
                     id: currentId++,
-                    x: Math.round(p0.x), // Round to integer for pixel values
+                    x: p0.x,
                     y: p0.y,
                     c1: null,
                     c2: null
@@ -989,7 +1951,7 @@ class HDRSplitCanvas {
             if (!pointMap.has(endKey)) {
                 const endPoint = {
                     id: currentId++,
-                    x: Math.round(p3.x),
+                    x: p3.x,
                     y: p3.y,
                     c1: null,
                     c2: null
@@ -1026,6 +1988,12 @@ class HDRSplitCanvas {
         this.hoveredPoint = null;
         this.draggedPoint = null;
 
+        // Path reloaded from C# is a new baseline
+        this.clearHistory();
+
+        // Handles repaired by the monotonic constraint are sent back so C# matches
+        this.enforceConstraints();
+
         // Update display
         this.render();
         this.calculateWeights();
@@ -1035,86 +2003,59 @@ class HDRSplitCanvas {
 
         return minId; // Return the minimum ID found for C# synchronization
     }
+}
 
-    // Parse SVG path string to extract Bezier segments
-    parseSVGPath(pathString) {
-        const segments = [];
-        const commands = pathString.match(/[MLCZmlcz][^MLCZmlcz]*/g);
-
-        if (!commands) return segments;
-
-        let currentX = 0;
-        let currentY = 0;
-        let startX = 0;
-        let startY = 0;
-
-        for (const cmd of commands) {
-            const type = cmd[0];
-            const coords = cmd.slice(1).trim()
-                .split(/[\s,]+/)
-                .filter(s => s.length > 0)
-                .map(parseFloat);
-
-            switch (type.toUpperCase()) {
-                case 'M': // Move to
-                    currentX = coords[0];
-                    currentY = coords[1];
-                    startX = currentX;
-                    startY = currentY;
-                    break;
-
-                case 'C': // Cubic Bezier
-                    if (coords.length >= 6) {
-                        segments.push({
-                            p0: { x: currentX, y: currentY },
-                            p1: { x: coords[0], y: coords[1] },
-                            p2: { x: coords[2], y: coords[3] },
-                            p3: { x: coords[4], y: coords[5] }
-                        });
-                        currentX = coords[4];
-                        currentY = coords[5];
-                    }
-                    break;
-
-                case 'L': // Line to (convert to Bezier)
-                    if (coords.length >= 2) {
-                        const targetX = coords[0];
-                        const targetY = coords[1];
-
-                        // Convert line to cubic Bezier with control points at 1/3 and 2/3
-                        segments.push({
-                            p0: { x: currentX, y: currentY },
-                            p1: { x: currentX + (targetX - currentX) / 3, y: currentY + (targetY - currentY) / 3 },
-                            p2: { x: currentX + (targetX - currentX) * 2 / 3, y: currentY + (targetY - currentY) * 2 / 3 },
-                            p3: { x: targetX, y: targetY }
-                        });
-                        currentX = targetX;
-                        currentY = targetY;
-                    }
-                    break;
-
-                case 'Z': // Close path
-                    if (Math.abs(currentX - startX) > 0.001 || Math.abs(currentY - startY) > 0.001) {
-                        // Add closing segment as line converted to Bezier
-                        segments.push({
-                            p0: { x: currentX, y: currentY },
-                            p1: { x: currentX + (startX - currentX) / 3, y: currentY + (startY - currentY) / 3 },
-                            p2: { x: currentX + (startX - currentX) * 2 / 3, y: currentY + (startY - currentY) * 2 / 3 },
-                            p3: { x: startX, y: startY }
-                        });
-                        currentX = startX;
-                        currentY = startY;
-                    }
-                    break;
-            }
-        }
+// Supported interpolation modes; handles are only used by 'bezier'. Read from CurveModel on use, so this
+// script loads even when hdr-curve-model.js comes after it
+Object.defineProperty(HDRSplitCanvas, 'INTERPOLATIONS', { get: () => CurveModel.INTERPOLATIONS });
+
+// Looks an id up inside root when one is given, otherwise in the document
+HDRSplitCanvas.findElement = function(id, root) {
+    return root ? root.querySelector(`[id="${id}"]`) : document.getElementById(id);
+};
+
+// Resolves with the elements once every id is found, rejects with the missing ids after timeout ms.
+// Without a root the document is watched for late-rendered markup.
+HDRSplitCanvas.waitForElements = function(ids, root, timeout) {
+    const find = id => HDRSplitCanvas.findElement(id, root);
+    const lookup = () => {
+        const elements = ids.map(find);
+        return elements.every(Boolean) ? elements : null;
+    };
 
-        return segments;
+    const found = lookup();
+    if (found) return Promise.resolve(found);
+    if (root) return Promise.reject(new Error(`Elements not found in the container: ${ids.filter(id => !find(id)).join(', ')}`));
+
+    return new Promise((resolve, reject) => {
+        const observer = new MutationObserver(() => {
+            const elements = lookup();
+            if (!elements) return;
+            observer.disconnect();
+            clearTimeout(timer);
+            resolve(elements);
+        });
+        const timer = setTimeout(() => {
+            observer.disconnect();
+            reject(new Error(`Elements not found after ${timeout} ms: ${ids.filter(id => !find(id)).join(', ')}`));
+        }, timeout);
+        observer.observe(document.documentElement, { childList: true, subtree: true });
+    });
+};
+
+// Default time hdrGrayCanvasInit waits for the markup, in ms; override with options.initTimeout
+HDRSplitCanvas.INIT_TIMEOUT = 5000;
+
+// Main initialization function. Returns a Promise that resolves with the editor once its elements exist
+// and rejects if they do not show up within options.initTimeout. options.container may be the container
+// element itself (e.g. a Blazor ElementReference), which skips the wait.
+function hdrGrayCanvasInit(id, dotnetRef, options) {
+    options = options || {};
+
+    if (typeof CurveModel === 'undefined') {
+        return Promise.reject(new Error('HDRSplitCanvas: CurveModel is not defined; load hdr-curve-model.js before creating an editor'));
     }
-}
 
-// Main initialization function
-function hdrGrayCanvasInit(id, dotnetRef) {
     // Define all element IDs in one place
     const elementIds = {
         container: `hdr-container-${id}`,
@@ -1134,34 +2075,46 @@ function hdrGrayCanvasInit(id, dotnetRef) {
         info: `info-${id}`
     };
 
-    // Get container
-    const container = document.getElementById(elementIds.container);
-    if (!container) {
-        console.warn(`HDRSplitCanvas: Container ${elementIds.container} not found, waiting...`);
-        setTimeout(() => hdrGrayCanvasInit(id), 100);
-        return;
-    }
+    const required = [elementIds.canvas, elementIds.grayscaleBar];
+    const root = options.container || null;
+    if (!root) required.unshift(elementIds.container);
 
-    // Get main canvases
-    const canvas = document.getElementById(elementIds.canvas);
-    const grayscaleBar = document.getElementById(elementIds.grayscaleBar);
-    const outputBar = document.getElementById(elementIds.outputBar);
+    // Markup that is already rendered is initialized synchronously, so plain pages can use the instance
+    // right after the call
+    const create = () => {
+        try {
+            return Promise.resolve(createGrayCanvas(id, elementIds, root, dotnetRef, options));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    };
+    if (required.every(elementId => HDRSplitCanvas.findElement(elementId, root))) return create();
 
-    if (!canvas || !grayscaleBar) {
-        console.warn(`HDRSplitCanvas: Required elements not found for instance ${id}, waiting...`);
-        setTimeout(() => hdrGrayCanvasInit(id), 100);
-        return;
-    }
+    const timeout = options.initTimeout ?? HDRSplitCanvas.INIT_TIMEOUT;
+    return HDRSplitCanvas.waitForElements(required, root, timeout).then(create, error => {
+        throw new Error(`HDRSplitCanvas: instance ${id} could not be initialized. ${error.message}`);
+    });
+}
+
+function createGrayCanvas(id, elementIds, root, dotnetRef, options) {
+    const find = elementId => HDRSplitCanvas.findElement(elementId, root);
+    const canvas = find(elementIds.canvas);
+    const grayscaleBar = find(elementIds.grayscaleBar);
+    const outputBar = find(elementIds.outputBar);
+
+    // Re-initializing an id replaces the previous editor instead of leaking its listeners
+    const previous = window.hdrEditors.gray.get(id);
+    if (previous) previous.dispose();
 
-    const hdrSplit = new HDRSplitCanvas(canvas, grayscaleBar, outputBar, elementIds, dotnetRef);
+    const hdrSplit = new HDRSplitCanvas(canvas, grayscaleBar, outputBar, elementIds, dotnetRef, options);
 
-    // Store instance in the global Map
-    window.hdrInstances.set(id, hdrSplit);
+    // Register the editor under its mode and id
+    window.hdrEditors.gray.set(id, hdrSplit);
 
     // Save button functionality
-    const saveBtn = document.getElementById(elementIds.saveBtn);
+    const saveBtn = find(elementIds.saveBtn);
     if (saveBtn) {
-        saveBtn.addEventListener('click', () => {
+        hdrSplit.listen(saveBtn, 'click', () => {
             const json = hdrSplit.exportJSON();
             const blob = new Blob([json], { type: 'application/json' });
             const url = URL.createObjectURL(blob);
@@ -1181,22 +2134,36 @@ function hdrGrayCanvasInit(id, dotnetRef) {
         });
     }
 
+    // Load button functionality
+    const loadBtn = find(elementIds.loadBtn);
+    if (loadBtn) {
+        hdrSplit.listen(loadBtn, 'click', () => {
+            const fileInput = find(elementIds.fileInput);
+            if (fileInput) fileInput.click();
+        });
+    }
+
     // File input handler for Blazor integration
-    const fileInput = document.getElementById(elementIds.fileInput);
+    const fileInput = find(elementIds.fileInput);
     if (fileInput) {
-        fileInput.addEventListener('change', (event) => {
+        hdrSplit.listen(fileInput, 'change', (event) => {
             const file = event.target.files[0];
             if (!file) return;
 
             const reader = new FileReader();
             reader.onload = (e) => {
                 const content = e.target.result;
+                const errors = [];
+                const collect = detail => errors.push(...(detail.errors || []));
+                hdrSplit.on('error', collect);
                 const success = hdrSplit.importJSON(content);
+                hdrSplit.off('error', collect);
 
                 if (success) {
                     console.log(`Loaded curve from ${file.name}`);
                 } else {
-                    console.error('Failed to load curve file. Please check the file format.');
+                    console.error('Failed to load curve file:\n' +
+                        errors.map(error => `${error.path || 'file'}: ${error.message}`).join('\n'));
                 }
 
                 // Clear the input so the same file can be loaded again
@@ -1220,19 +2187,23 @@ function hdrGrayCanvasInit(id, dotnetRef) {
     console.log('  Save: localStorage.setItem("hdrCurve", hdrSplit.exportJSON())');
     console.log('  Load: hdrSplit.importJSON(localStorage.getItem("hdrCurve"))');
     console.log('  Set custom state: hdrSplit.setState({...})');
+
+    return hdrSplit;
 }
 
-// Initialize the global instances storage
-if (!window.hdrInstances) {
-    window.hdrInstances = new Map();
+// Live editors by mode and id, shared with hdr-split-rgb.js, the custom element, the interop and HdrSplit.
+// Each mode numbers its editors on its own, so the same id can name a gray and an RGB editor.
+if (!window.hdrEditors) {
+    window.hdrEditors = { gray: new Map(), rgb: new Map() };
 }
 
-// Export the initialization function to window for global access
+// Export the class and the initialization function to window for global access
+window.HDRSplitCanvas = HDRSplitCanvas;
 window.hdrGrayCanvasInit = hdrGrayCanvasInit;
 
 // Global reload function for clean C# interop
 window.hdrGrayCanvasReload = function(instanceId, pathString) {
-    const instance = window.hdrInstances.get(instanceId);
+    const instance = window.hdrEditors.gray.get(instanceId);
     if (!instance) {
         console.error(`HDR instance ${instanceId} not found`);
         return -1;
@@ -1241,4 +2212,78 @@ window.hdrGrayCanvasReload = function(instanceId, pathString) {
     // Parse the SVG path and rebuild the curve
     const baseId = instance.reload(pathString);
     return baseId;
+};
+
+// Global dispose for C# interop, called when the component is removed
+window.hdrGrayCanvasDispose = function(instanceId) {
+    const instance = window.hdrEditors.gray.get(instanceId);
+    if (!instance) return;
+
+    instance.dispose();
+};
+
+// Global monotonic mode switch for C# interop ('increasing', 'decreasing' or null)
+window.hdrGrayCanvasSetMonotonic = function(instanceId, mode) {
+    const instance = window.hdrEditors.gray.get(instanceId);
+    if (!instance) {
+        console.error(`HDR instance ${instanceId} not found`);
+        return;
+    }
+
+    instance.setMonotonic(mode);
+};
+
+// Global histogram setter for C# interop; bins may be null to clear it
+window.hdrGrayCanvasSetHistogram = function(instanceId, bins, scale) {
+    const instance = window.hdrEditors.gray.get(instanceId);
+    if (!instance) {
+        console.error(`HDR instance ${instanceId} not found`);
+        return;
+    }
+
+    if (scale) instance.histogramScale = scale === 'log' ? 'log' : 'linear';
+    instance.setHistogram(bins);
+};
+
+// Global preview control for C# interop: shows url in the preview-{id} canvas with the given view,
+// a null url detaches the preview
+window.hdrGrayCanvasSetPreview = function(instanceId, url, view) {
+    const instance = window.hdrEditors.gray.get(instanceId);
+    if (!instance) {
+        console.error(`HDR instance ${instanceId} not found`);
+        return;
+    }
+
+    if (!url) {
+        if (instance.preview) {
+            instance.preview.dispose();
+            instance.attachPreview(null);
+        }
+        return;
+    }
+
+    if (!instance.preview) {
+        const canvas = document.getElementById(`preview-${instanceId}`);
+        if (!canvas || typeof HDRPreview === 'undefined') {
+            console.error('Preview canvas or hdr-preview.js not found for instance:', instanceId);
+            return;
+        }
+        instance.attachPreview(new HDRPreview(canvas));
+    }
+
+    if (view) instance.preview.setView(view);
+    if (url !== instance.preview.sourceUrl) {
+        return instance.preview.setSourceUrl(url);
+    }
+};
+
+// Global interpolation mode switch for C# interop
+window.hdrGrayCanvasSetInterpolation = function(instanceId, mode) {
+    const instance = window.hdrEditors.gray.get(instanceId);
+    if (!instance) {
+        console.error(`HDR instance ${instanceId} not found`);
+        return false;
+    }
+
+    return instance.setInterpolation(mode);
 };
\ No newline at end of file